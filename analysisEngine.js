@@ -0,0 +1,1357 @@
+// Analysis engine shared by every community screen.
+//
+// Every function here works on a list of normalized draws, newest first:
+//     { date: '05/31/2025' | null, gameNumber: 123, numbers: [20 numbers between 1 and 80] }
+// so the same code runs against today's games, the last N games, a date range or the full history.
+// Nothing in this file touches the DOM.
+
+const KENO_NUMBERS = 80;
+const NUMBERS_DRAWN = 20;
+
+// Turn a date from the data files ('MM/DD/YYYY') or a date input ('YYYY-MM-DD') into a sortable day value
+function parseDrawDate(date) {
+    if (!date) return null;
+
+    let match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(date);
+    if (match) return Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+
+    match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(date);
+    if (match) return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    const parsed = new Date(date).getTime();
+    return isNaN(parsed) ? null : parsed;
+}
+
+// Normalize one game's numbers (the scraper stores them as strings)
+function normalizeNumbers(numbers) {
+    return numbers.map(num => parseInt(num, 10)).filter(num => num >= 1 && num <= KENO_NUMBERS);
+}
+
+// Today's file is { gameNumber: [numbers] } with no date
+function normalizeTodayDraws(jsonData, date = null) {
+    if (!jsonData) return [];
+
+    return Object.entries(jsonData)
+        .map(([gameNumber, numbers]) => ({
+            date,
+            gameNumber: parseInt(gameNumber, 10),
+            numbers: normalizeNumbers(numbers)
+        }))
+        .filter(draw => draw.numbers.length > 0)
+        .sort((a, b) => b.gameNumber - a.gameNumber);
+}
+
+// The history file is { date: { gameNumber: [numbers] } }
+function normalizeHistoryDraws(jsonData) {
+    if (!jsonData) return [];
+
+    const draws = [];
+    Object.keys(jsonData).forEach(date => {
+        Object.entries(jsonData[date]).forEach(([gameNumber, numbers]) => {
+            draws.push({
+                date,
+                gameNumber: parseInt(gameNumber, 10),
+                numbers: normalizeNumbers(numbers)
+            });
+        });
+    });
+
+    // Sort by date and game number so index 0 is the most recent game
+    return draws
+        .filter(draw => draw.numbers.length > 0)
+        .sort((a, b) => {
+            const dateA = parseDrawDate(a.date);
+            const dateB = parseDrawDate(b.date);
+            if (dateA !== dateB) return dateB - dateA;
+            return b.gameNumber - a.gameNumber;
+        });
+}
+
+// Pick the draws for a window selection:
+//     { type: 'today' }                          today's games
+//     { type: 'lastN', count: 500 }              the most recent N games of the history
+//     { type: 'range', from: '2025-05-01', to }  every game between two dates (inclusive, either end optional)
+//     { type: 'all' }                            the full history
+function selectDraws(todayDraws, historyDraws, selection = { type: 'today' }) {
+    const history = historyDraws || [];
+
+    switch (selection.type) {
+        case 'lastN':
+            return history.slice(0, Math.max(0, parseInt(selection.count, 10) || 0));
+        case 'range': {
+            const from = parseDrawDate(selection.from);
+            const to = parseDrawDate(selection.to);
+            return history.filter(draw => {
+                const day = parseDrawDate(draw.date);
+                return (from === null || day >= from) && (to === null || day <= to);
+            });
+        }
+        case 'all':
+            return history;
+        case 'today':
+        default:
+            return todayDraws || [];
+    }
+}
+
+// Today's games followed by the history, newest first. Today's file has no dates, so a game already in the
+// history's latest day (same game number and numbers) is only kept once.
+function combineDraws(todayDraws, historyDraws) {
+    const history = historyDraws || [];
+    const latestDate = history.length > 0 ? history[0].date : null;
+    const latestDay = new Map(history
+        .filter(draw => draw.date === latestDate)
+        .map(draw => [draw.gameNumber, draw.numbers.join(',')]));
+
+    const newGames = (todayDraws || []).filter(draw => latestDay.get(draw.gameNumber) !== draw.numbers.join(','));
+    return [...newGames, ...history];
+}
+
+// Short description of a window selection for table headers
+function describeSelection(selection = { type: 'today' }) {
+    switch (selection.type) {
+        case 'lastN':
+            return `last ${selection.count} games`;
+        case 'range':
+            return `${selection.from || 'start'} to ${selection.to || 'latest'}`;
+        case 'all':
+            return 'all history';
+        default:
+            return 'today';
+    }
+}
+
+// Draws in chronological order (oldest first), for analyses that walk forward in time
+function chronological(draws) {
+    return draws.slice().reverse();
+}
+
+// Count how often each number was drawn, most frequent first
+function getNumberCounts(draws) {
+    const counts = new Array(KENO_NUMBERS + 1).fill(0);
+    draws.forEach(draw => {
+        draw.numbers.forEach(num => {
+            counts[num]++;
+        });
+    });
+
+    const numberCounts = [];
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        numberCounts.push({ number, count: counts[number] });
+    }
+    return numberCounts.sort((a, b) => b.count - a.count || a.number - b.number);
+}
+
+// Count how often every triple of numbers was drawn together, in a flat 80x80x80 array indexed by the packed
+// ascending triple ((a - 1) * 80 + (b - 1)) * 80 + (c - 1)
+function countTriples(draws) {
+    const tripleCounts = new Uint32Array(KENO_NUMBERS * KENO_NUMBERS * KENO_NUMBERS);
+
+    draws.forEach(draw => {
+        const numbers = draw.numbers.slice().sort((a, b) => a - b);
+        for (let i = 0; i < numbers.length - 2; i++) {
+            for (let j = i + 1; j < numbers.length - 1; j++) {
+                const prefix = ((numbers[i] - 1) * KENO_NUMBERS + (numbers[j] - 1)) * KENO_NUMBERS;
+                for (let k = j + 1; k < numbers.length; k++) {
+                    tripleCounts[prefix + numbers[k] - 1]++;
+                }
+            }
+        }
+    });
+
+    return tripleCounts;
+}
+
+// Numbers of a packed triple from countTriples
+function unpackTriple(key) {
+    return [
+        Math.floor(key / (KENO_NUMBERS * KENO_NUMBERS)) + 1,
+        Math.floor(key / KENO_NUMBERS) % KENO_NUMBERS + 1,
+        key % KENO_NUMBERS + 1
+    ];
+}
+
+// Indices of the `limit` highest non-zero counts in a flat count array, highest first (lowest index among ties)
+function topCountKeys(counts, limit) {
+    const keys = [];
+    for (let key = 0; key < counts.length; key++) {
+        if (counts[key] > 0) keys.push(key);
+    }
+    return keys.sort((a, b) => counts[b] - counts[a] || a - b).slice(0, limit);
+}
+
+// Most common 3-number combinations, counted in a flat typed array indexed by the packed triple
+function analyzeNumberCombinations(draws, numberCounts = getNumberCounts(draws)) {
+    if (draws.length === 0) return [];
+
+    const comboCounts = countTriples(draws);
+
+    const individualCounts = new Array(KENO_NUMBERS + 1).fill(0);
+    numberCounts.forEach(({ number, count }) => {
+        individualCounts[number] = count;
+    });
+
+    const rankedCombos = [];
+    for (let key = 0; key < comboCounts.length; key++) {
+        if (comboCounts[key] === 0) continue;
+        const numbers = unpackTriple(key);
+        rankedCombos.push({
+            numbers,
+            count: comboCounts[key],
+            individualScore: numbers.reduce((sum, num) => sum + individualCounts[num], 0)
+        });
+    }
+
+    // Primary sort by combination frequency, secondary by individual number frequencies
+    rankedCombos.sort((a, b) => b.count - a.count || b.individualScore - a.individualScore);
+
+    return rankedCombos.slice(0, 10).map(combo => ({
+        numbers: combo.numbers,
+        occurrences: combo.count,
+        confidence: (combo.count / draws.length * 100).toFixed(2),
+        avgIndividualFrequency: (combo.individualScore / 3).toFixed(2)
+    }));
+}
+
+// Time series analysis to detect patterns in recent games
+function analyzeRecentTrends(draws, windowSize = 10) {
+    const recentCounts = new Map();
+    draws.slice(0, windowSize).forEach(draw => {
+        draw.numbers.forEach(num => {
+            recentCounts.set(num, (recentCounts.get(num) || 0) + 1);
+        });
+    });
+
+    return Array.from(recentCounts.entries())
+        .map(([number, count]) => ({
+            number,
+            recentFrequency: count,
+            momentum: count / windowSize
+        }))
+        .sort((a, b) => b.momentum - a.momentum);
+}
+
+// Gap analysis to find "due" numbers
+function analyzeNumberGaps(draws) {
+    const games = chronological(draws);
+    const lastSeen = new Array(KENO_NUMBERS + 1).fill(-1);
+    const gapAnalysis = new Map();
+
+    // A gap is the number of games since the number was last drawn (1 = drawn in back-to-back games)
+    games.forEach((draw, index) => {
+        draw.numbers.forEach(num => {
+            const gap = index - lastSeen[num];
+            if (!gapAnalysis.has(num)) gapAnalysis.set(num, []);
+            gapAnalysis.get(num).push(gap);
+            lastSeen[num] = index;
+        });
+    });
+
+    // Calculate average gaps and current gaps
+    return Array.from(gapAnalysis.entries())
+        .map(([number, gaps]) => {
+            const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+            const currentGap = games.length - 1 - lastSeen[number];
+            return {
+                number,
+                currentGap,
+                averageGap: avgGap,
+                gapRatio: currentGap / avgGap
+            };
+        })
+        .sort((a, b) => b.gapRatio - a.gapRatio);
+}
+
+// Full gap distribution against a fair draw, where each number is drawn with p = 0.25 every game independently of
+// its past, so gaps are geometric: P(gap = g) = 0.75^(g - 1) * 0.25, with gaps of maxGap or more in one bin.
+// - numbers: every number's gap histogram, chi-square tested against the geometric (Holm-adjusted across the 80),
+//   its longest drought (games in a row without it, including before its first draw and since its last) and
+//   how many games it has gone undrawn now;
+// - conditional: how often numbers hit after going `gap` games undrawn (the last entry is maxGap or more), with a
+//   Wilson interval and a z-test against 25%. A fair draw has no memory, so "due" numbers should hit 25% at every gap.
+function analyzeGapDistribution(draws, maxGap = 30) {
+    const games = chronological(draws);
+    const p = NUMBERS_DRAWN / KENO_NUMBERS;
+    const lastSeen = new Array(KENO_NUMBERS + 1).fill(-1);
+    const gapCounts = Array.from({ length: KENO_NUMBERS + 1 }, () => new Array(maxGap + 1).fill(0));
+    const gapTotals = new Array(KENO_NUMBERS + 1).fill(0);
+    const longestDrought = new Array(KENO_NUMBERS + 1).fill(0);
+    const exposures = new Array(maxGap + 1).fill(0);
+    const hits = new Array(maxGap + 1).fill(0);
+
+    games.forEach((draw, index) => {
+        const drawn = new Set(draw.numbers);
+        for (let number = 1; number <= KENO_NUMBERS; number++) {
+            if (lastSeen[number] < 0) {
+                // Games before its first draw still count as a drought, but have no gap to condition on
+                if (drawn.has(number)) longestDrought[number] = Math.max(longestDrought[number], index);
+                continue;
+            }
+            const undrawn = Math.min(index - 1 - lastSeen[number], maxGap);
+            exposures[undrawn]++;
+            if (drawn.has(number)) {
+                hits[undrawn]++;
+                const gap = index - lastSeen[number];
+                gapCounts[number][Math.min(gap, maxGap)]++;
+                gapTotals[number] += gap;
+                longestDrought[number] = Math.max(longestDrought[number], gap - 1);
+            }
+        }
+        draw.numbers.forEach(number => {
+            lastSeen[number] = index;
+        });
+    });
+
+    // Gaps 1 to maxGap - 1, then the tail of maxGap or more
+    const geometric = new Array(maxGap + 1).fill(0);
+    for (let gap = 1; gap < maxGap; gap++) geometric[gap] = Math.pow(1 - p, gap - 1) * p;
+    geometric[maxGap] = Math.pow(1 - p, maxGap - 1);
+
+    const gapTest = counts => {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        return chiSquareTest(counts.slice(1), geometric.slice(1).map(probability => probability * total));
+    };
+
+    const numbers = [];
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        const counts = gapCounts[number];
+        const gaps = counts.reduce((sum, count) => sum + count, 0);
+        const currentGap = lastSeen[number] < 0 ? games.length : games.length - 1 - lastSeen[number];
+        numbers.push({
+            number,
+            counts,
+            gaps,
+            meanGap: gaps > 0 ? gapTotals[number] / gaps : 0,
+            currentGap,
+            longestDrought: Math.max(longestDrought[number], currentGap),
+            test: gapTest(counts)
+        });
+    }
+    holmAdjust(numbers.map(entry => entry.test.pValue)).forEach((pValue, index) => {
+        numbers[index].test.adjustedPValue = pValue;
+    });
+
+    const pooledCounts = new Array(maxGap + 1).fill(0);
+    numbers.forEach(entry => entry.counts.forEach((count, gap) => {
+        pooledCounts[gap] += count;
+    }));
+
+    const conditional = exposures.map((trials, gap) => {
+        const rate = trials > 0 ? hits[gap] / trials : 0;
+        const z = trials > 0 ? (hits[gap] - trials * p) / Math.sqrt(trials * p * (1 - p)) : 0;
+        return { gap, trials, hits: hits[gap], rate, ...wilsonInterval(hits[gap], trials), z, pValue: twoSidedPValue(z) };
+    });
+
+    return {
+        games: games.length,
+        maxGap,
+        expectedMeanGap: 1 / p,
+        geometric,
+        pooled: { counts: pooledCounts, test: gapTest(pooledCounts) },
+        numbers,
+        conditional
+    };
+}
+
+// Hot/Cold analysis with weighted recent performance
+function analyzeHotColdPatterns(draws, recentWeight = 2) {
+    const recentGames = draws.slice(0, 20);  // Last 20 games
+    const olderGames = draws.slice(20);      // Older games
+    const numberAnalysis = new Map();
+    const recentHits = new Map();
+
+    // Process recent games with higher weight
+    recentGames.forEach(draw => {
+        draw.numbers.forEach(num => {
+            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + recentWeight);
+            recentHits.set(num, (recentHits.get(num) || 0) + 1);
+        });
+    });
+
+    // Process older games with normal weight
+    olderGames.forEach(draw => {
+        draw.numbers.forEach(num => {
+            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + 1);
+        });
+    });
+
+    return Array.from(numberAnalysis.entries())
+        .map(([number, score]) => ({
+            number,
+            weightedScore: score,
+            recentPerformance: (recentHits.get(number) || 0) / 20
+        }))
+        .sort((a, b) => b.weightedScore - a.weightedScore);
+}
+
+// Combine all analyses to score every number, best first
+function scorePredictions(draws) {
+    const recentTrends = analyzeRecentTrends(draws);
+    const gapAnalysis = analyzeNumberGaps(draws);
+    const hotCold = analyzeHotColdPatterns(draws);
+
+    const combinedScores = new Map();
+
+    // Helper function to normalize scores
+    const normalizeScores = (array, scoreKey) => {
+        const max = Math.max(...array.map(item => item[scoreKey])) || 1;
+        return array.map(item => ({
+            number: item.number,
+            score: item[scoreKey] / max
+        }));
+    };
+
+    // Calculate combined scores with weights
+    [
+        { data: normalizeScores(recentTrends, 'momentum'), weight: 0.4 },
+        { data: normalizeScores(gapAnalysis, 'gapRatio'), weight: 0.3 },
+        { data: normalizeScores(hotCold, 'weightedScore'), weight: 0.3 }
+    ].forEach(({ data, weight }) => {
+        data.forEach(({ number, score }) => {
+            combinedScores.set(number, (combinedScores.get(number) || 0) + score * weight);
+        });
+    });
+
+    const trendByNumber = new Map(recentTrends.map(t => [t.number, t.momentum]));
+    const gapByNumber = new Map(gapAnalysis.map(g => [g.number, g.gapRatio]));
+    const hotColdByNumber = new Map(hotCold.map(h => [h.number, h.weightedScore]));
+
+    return Array.from(combinedScores.entries())
+        .map(([number, score]) => ({
+            number,
+            score,
+            recentTrend: trendByNumber.get(number) || 0,
+            gapAnalysis: gapByNumber.get(number) || 0,
+            hotColdScore: hotColdByNumber.get(number) || 0
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+// Top predicted numbers for display
+function generatePredictions(draws, count = 10) {
+    if (draws.length === 0) return [];
+
+    return scorePredictions(draws)
+        .slice(0, count)
+        .map(prediction => ({
+            ...prediction,
+            score: prediction.score.toFixed(3),
+            confidence: (prediction.score * 100).toFixed(1) + '%'
+        }));
+}
+
+// Longest run of consecutive games each number was drawn in
+function analyzeStreaks(draws) {
+    const current = new Array(KENO_NUMBERS + 1).fill(0);
+    const max = new Array(KENO_NUMBERS + 1).fill(0);
+
+    chronological(draws).forEach(draw => {
+        const drawn = new Set(draw.numbers);
+        for (let num = 1; num <= KENO_NUMBERS; num++) {
+            current[num] = drawn.has(num) ? current[num] + 1 : 0;
+            max[num] = Math.max(max[num], current[num]);
+        }
+    });
+
+    const streaks = [];
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        if (max[number] > 0) streaks.push({ number, maxStreak: max[number] });
+    }
+    return streaks.sort((a, b) => b.maxStreak - a.maxStreak);
+}
+
+// Count how often every pair of numbers was drawn together, in a flat 80x80 array
+function countPairs(draws) {
+    const pairCounts = new Uint32Array(KENO_NUMBERS * KENO_NUMBERS);
+
+    draws.forEach(draw => {
+        const numbers = draw.numbers;
+        for (let i = 0; i < numbers.length; i++) {
+            for (let j = i + 1; j < numbers.length; j++) {
+                const low = Math.min(numbers[i], numbers[j]) - 1;
+                const high = Math.max(numbers[i], numbers[j]) - 1;
+                pairCounts[low * KENO_NUMBERS + high]++;
+            }
+        }
+    });
+
+    return pairCounts;
+}
+
+// Chance that a given pair of numbers is drawn together in one game: C(78, 18) / C(80, 20) = (20/80) * (19/79)
+const PAIR_CHANCE = (NUMBERS_DRAWN / KENO_NUMBERS) * ((NUMBERS_DRAWN - 1) / (KENO_NUMBERS - 1));
+
+// Pairs of numbers drawn together, most frequent first, with their lift over a fair draw
+function analyzeNumberCoOccurrence(draws) {
+    const pairCounts = countPairs(draws);
+    const expected = draws.length * PAIR_CHANCE;
+    const pairs = [];
+
+    for (let low = 0; low < KENO_NUMBERS; low++) {
+        for (let high = low + 1; high < KENO_NUMBERS; high++) {
+            const frequency = pairCounts[low * KENO_NUMBERS + high];
+            if (frequency > 0) pairs.push({ pair: [low + 1, high + 1], frequency, lift: frequency / expected });
+        }
+    }
+
+    return pairs.sort((a, b) => b.frequency - a.frequency);
+}
+
+// Every pair's co-occurrence against a fair draw, which expects each pair in games x PAIR_CHANCE games: the count,
+// lift (count / expected), binomial z-score and two-sided p-value Holm-adjusted across all 3160 pairs.
+// Each is a flat 80x80 array indexed (a - 1) * 80 + (b - 1), filled on both sides of the diagonal.
+function analyzePairLift(draws) {
+    const games = draws.length;
+    const pairCounts = countPairs(draws);
+    const expected = games * PAIR_CHANCE;
+    const sd = Math.sqrt(expected * (1 - PAIR_CHANCE));
+
+    const size = KENO_NUMBERS * KENO_NUMBERS;
+    const counts = new Uint32Array(size);
+    const lift = new Float64Array(size);
+    const z = new Float64Array(size);
+    const adjustedPValues = new Float64Array(size).fill(1);
+    const pairs = [];
+
+    for (let low = 0; low < KENO_NUMBERS; low++) {
+        for (let high = low + 1; high < KENO_NUMBERS; high++) {
+            const count = pairCounts[low * KENO_NUMBERS + high];
+            const pairZ = sd > 0 ? (count - expected) / sd : 0;
+            [low * KENO_NUMBERS + high, high * KENO_NUMBERS + low].forEach(cell => {
+                counts[cell] = count;
+                lift[cell] = expected > 0 ? count / expected : 0;
+                z[cell] = pairZ;
+            });
+            pairs.push({ low, high, pValue: twoSidedPValue(pairZ) });
+        }
+    }
+
+    holmAdjust(pairs.map(pair => pair.pValue)).forEach((pValue, index) => {
+        const { low, high } = pairs[index];
+        adjustedPValues[low * KENO_NUMBERS + high] = pValue;
+        adjustedPValues[high * KENO_NUMBERS + low] = pValue;
+    });
+
+    return { games, expected, counts, lift, z, adjustedPValues };
+}
+
+// One number's 79 partners from analyzePairLift, most over-represented first
+function pairPartners(pairLift, number) {
+    const partners = [];
+    for (let other = 1; other <= KENO_NUMBERS; other++) {
+        if (other === number) continue;
+        const cell = (number - 1) * KENO_NUMBERS + other - 1;
+        partners.push({
+            number: other,
+            count: pairLift.counts[cell],
+            lift: pairLift.lift[cell],
+            z: pairLift.z[cell],
+            adjustedPValue: pairLift.adjustedPValues[cell]
+        });
+    }
+    return partners.sort((a, b) => b.z - a.z);
+}
+
+// Pattern analysis shown with the Model A and B predictions
+const analyzePatterns = (data) => {
+    const singleNumberStats = analyzeSingleNumbers(data);
+    const pairStats = analyzePairs(data);
+    const tripletStats = analyzeTriplets(data);
+    const hotColdNumbers = analyzeHotColdNumbers(data);
+    const multiCombinations = analyzeMultiCombinations(data);
+
+    return {
+        singleNumberStats,
+        pairStats,
+        tripletStats,
+        hotColdNumbers,
+        multiCombinations
+    };
+};
+
+function analyzeSingleNumbers(data) {
+    const frequencyMap = new Map();
+    let totalGames = 0;
+
+    // Initialize frequency map
+    for (let i = 1; i <= 80; i++) {
+        frequencyMap.set(i, 0);
+    }
+
+    // Count occurrences
+    data.forEach(game => {
+        game.numbers.forEach(num => {
+            frequencyMap.set(num, frequencyMap.get(num) + 1);
+        });
+        totalGames++;
+    });
+
+    // Calculate probability for each number
+    const probabilities = Array.from(frequencyMap.entries())
+        .map(([number, frequency]) => ({
+            number,
+            frequency,
+            probability: frequency / totalGames
+        }))
+        .sort((a, b) => b.probability - a.probability);
+
+    return {
+        mostFrequent: probabilities.slice(0, 10),
+        leastFrequent: probabilities.slice(-10),
+        allProbabilities: probabilities
+    };
+}
+
+// The 15 pairs drawn together most often, counted by countPairs
+function analyzePairs(data) {
+    const pairCounts = countPairs(data);
+    const topPairs = topCountKeys(pairCounts, 15).map(key => ({
+        numbers: [Math.floor(key / KENO_NUMBERS) + 1, key % KENO_NUMBERS + 1],
+        frequency: pairCounts[key],
+        probability: pairCounts[key] / data.length
+    }));
+
+    return { topPairs };
+}
+
+// The 10 triplets drawn together most often, counted by countTriples
+function analyzeTriplets(data) {
+    const tripleCounts = countTriples(data);
+    const topTriplets = topCountKeys(tripleCounts, 10).map(key => ({
+        numbers: unpackTriple(key),
+        frequency: tripleCounts[key],
+        probability: tripleCounts[key] / data.length
+    }));
+
+    return { topTriplets };
+}
+
+function analyzeHotColdNumbers(data) {
+    // Analyze last 50 games for hot numbers
+    const recentGames = data.slice(0, 50);
+    const hotColdMap = new Map();
+
+    // Initialize map
+    for (let i = 1; i <= 80; i++) {
+        hotColdMap.set(i, 0);
+    }
+
+    // Count recent occurrences
+    recentGames.forEach(game => {
+        game.numbers.forEach(num => {
+            hotColdMap.set(num, hotColdMap.get(num) + 1);
+        });
+    });
+
+    // Classify numbers
+    const hotColdAnalysis = Array.from(hotColdMap.entries())
+        .map(([number, frequency]) => ({
+            number,
+            frequency,
+            status: frequency >= 10 ? 'hot' : frequency <= 2 ? 'cold' : 'neutral'
+        }))
+        .sort((a, b) => b.frequency - a.frequency);
+
+    return {
+        hot: hotColdAnalysis.filter(n => n.status === 'hot'),
+        cold: hotColdAnalysis.filter(n => n.status === 'cold'),
+        neutral: hotColdAnalysis.filter(n => n.status === 'neutral')
+    };
+}
+
+// 4- to 8-number combinations drawn together most often, found in one pass of the miner in combinations.js
+function analyzeMultiCombinations(data) {
+    const mined = mineCombinations(data, { sizes: [4, 5, 6, 7, 8] });
+    const topCombos = size => ({
+        topCombos: mined[size].combos.map(({ numbers, count }) => ({
+            numbers,
+            frequency: count,
+            probability: count / data.length
+        })),
+        expectedFrequency: mined[size].expected
+    });
+
+    return {
+        fourNumbers: topCombos(4),
+        fiveNumbers: topCombos(5),
+        sixNumbers: topCombos(6),
+        sevenNumbers: topCombos(7),
+        eightNumbers: topCombos(8)
+    };
+}
+
+// Pick strategies for the ticket generator
+const PICK_STRATEGIES = {
+    random: 'Uniform random',
+    hot: 'Hot numbers (most drawn)',
+    due: 'Due numbers (longest gap for their average)',
+    cooccurrence: 'Co-occurrence clusters',
+    blended: 'Blended predictions',
+    modelC: 'Model C probabilities'
+};
+
+// Score for every number (indexed 1-80) under a strategy; higher scores are favoured.
+// Model C needs the 80 probabilities from a trained model. Co-occurrence scores are only used for the first pick.
+function strategyScores(strategy, draws, modelScores = null) {
+    const scores = new Float64Array(KENO_NUMBERS + 1);
+
+    switch (strategy) {
+        case 'hot':
+        case 'cooccurrence':
+            getNumberCounts(draws).forEach(({ number, count }) => {
+                scores[number] = count;
+            });
+            break;
+        case 'due':
+            // Numbers never drawn in the window are the most overdue of all
+            scores.fill(Infinity);
+            analyzeNumberGaps(draws).forEach(({ number, gapRatio }) => {
+                scores[number] = gapRatio;
+            });
+            break;
+        case 'blended':
+            scorePredictions(draws).forEach(({ number, score }) => {
+                scores[number] = score;
+            });
+            break;
+        case 'modelC':
+            if (!modelScores) throw new Error('Model C has not been trained for this community');
+            modelScores.forEach((score, index) => {
+                scores[index + 1] = score;
+            });
+            break;
+        case 'random':
+        default:
+            scores.fill(1);
+    }
+    scores[0] = 0;
+    return scores;
+}
+
+// Row and column of a number on the 8 x 10 keno board (1-10 on the top row)
+function boardPosition(number) {
+    return { row: Math.floor((number - 1) / 10), column: (number - 1) % 10 };
+}
+
+// Tickets drawn before giving up on the draw-shape filters
+const MAX_TICKET_ATTEMPTS = 1000;
+
+// Shape of a draw or ticket, each with its exact distribution for `picked` fair numbers (indexed by value)
+const DRAW_SHAPE_METRICS = {
+    sum: {
+        label: 'Sum of the numbers',
+        value: numbers => numbers.reduce((sum, number) => sum + number, 0),
+        distribution: picked => subsetSumDistribution(picked, KENO_NUMBERS)
+    },
+    odd: {
+        label: 'Odd numbers',
+        value: numbers => numbers.filter(number => number % 2 === 1).length,
+        distribution: picked => Array.from({ length: picked + 1 },
+            (_, k) => hypergeometricProbability(k, KENO_NUMBERS, KENO_NUMBERS / 2, picked))
+    },
+    runs: {
+        label: 'Runs of consecutive numbers',
+        value: numbers => {
+            const sorted = numbers.slice().sort((a, b) => a - b);
+            return sorted.filter((number, i) => i > 0 && number === sorted[i - 1] + 1 &&
+                (i === 1 || sorted[i - 1] !== sorted[i - 2] + 1)).length;
+        },
+        distribution: picked => subsetRunsDistribution(picked, KENO_NUMBERS)
+    },
+    spread: {
+        label: 'Spread (highest minus lowest)',
+        value: numbers => Math.max(...numbers) - Math.min(...numbers),
+        distribution: picked => subsetSpreadDistribution(picked, KENO_NUMBERS)
+    }
+};
+
+// Decades 1-10, 11-20, ... 71-80, and how many of a draw's numbers fall in each
+const DECADES = ['1-10', '11-20', '21-30', '31-40', '41-50', '51-60', '61-70', '71-80'];
+
+function decadeCounts(numbers) {
+    const counts = new Array(DECADES.length).fill(0);
+    numbers.forEach(number => counts[Math.floor((number - 1) / 10)]++);
+    return counts;
+}
+
+// Every draw's shape against a fair draw's exact distribution, chi-square tested (Holm-adjusted across the
+// metrics). Decades are compared both as the pooled count of numbers per decade per draw, against its
+// hypergeometric distribution, and as totals, tested like analyzeBoardLayout's rows (which they are).
+function analyzeDrawShapes(draws) {
+    const n = draws.length;
+    const metrics = {};
+
+    const summarize = (label, counts, expectedProbabilities, draws) => {
+        const firstValue = expectedProbabilities.findIndex(probability => probability > 0);
+        const mean = values => values.reduce((sum, value, index) => sum + value * index, 0);
+        return {
+            label,
+            counts,
+            expectedProbabilities,
+            mean: draws > 0 ? mean(counts) / draws : 0,
+            expectedMean: mean(expectedProbabilities),
+            middle: centralRange(expectedProbabilities, 0.5),
+            test: chiSquareTest(counts.slice(firstValue), expectedProbabilities.slice(firstValue).map(probability => probability * draws))
+        };
+    };
+
+    Object.entries(DRAW_SHAPE_METRICS).forEach(([name, metric]) => {
+        const expectedProbabilities = metric.distribution(NUMBERS_DRAWN);
+        const counts = new Array(expectedProbabilities.length).fill(0);
+        draws.forEach(draw => counts[metric.value(draw.numbers)]++);
+        metrics[name] = summarize(metric.label, counts, expectedProbabilities, n);
+    });
+
+    // Numbers per decade, pooled over the 8 decades of every draw
+    const decadeProbabilities = Array.from({ length: 11 },
+        (_, k) => hypergeometricProbability(k, KENO_NUMBERS, 10, NUMBERS_DRAWN));
+    const pooled = new Array(decadeProbabilities.length).fill(0);
+    const totals = new Array(DECADES.length).fill(0);
+    draws.forEach(draw => {
+        decadeCounts(draw.numbers).forEach((count, decade) => {
+            pooled[count]++;
+            totals[decade] += count;
+        });
+    });
+    metrics.decades = summarize('Numbers per decade', pooled, decadeProbabilities, n * DECADES.length);
+
+    const expectedTotal = n * NUMBERS_DRAWN / DECADES.length;
+    const totalsStatistic = (KENO_NUMBERS - 1) / (KENO_NUMBERS - NUMBERS_DRAWN) *
+        totals.reduce((sum, total) => sum + (expectedTotal > 0 ? (total - expectedTotal) ** 2 / expectedTotal : 0), 0);
+    // The 8 decade counts of a draw add up to 20, so the pooled counts aren't independent; test the totals instead
+    metrics.decades.test = {
+        statistic: totalsStatistic,
+        df: DECADES.length - 1,
+        pValue: chiSquarePValue(totalsStatistic, DECADES.length - 1)
+    };
+    metrics.decades.totals = { labels: DECADES, counts: totals, expected: expectedTotal };
+
+    const names = Object.keys(metrics);
+    holmAdjust(names.map(name => metrics[name].test.pValue)).forEach((pValue, index) => {
+        metrics[names[index]].test.adjustedPValue = pValue;
+    });
+
+    return { games: n, metrics };
+}
+
+// Ticket filters keeping each named shape metric within the central `band` (e.g. 0.5 for the middle 50%) of a
+// fair ticket of `spots` numbers
+function shapeFilters(names, spots, band) {
+    return names.map(name => ({ name, ...centralRange(DRAW_SHAPE_METRICS[name].distribution(spots), band) }));
+}
+
+// Generate tickets of `spots` numbers. Each pick is drawn at random, weighted towards the strategy's highest-ranked
+// remaining numbers, so repeated tickets differ. Must-include numbers start every ticket and excluded numbers are
+// never picked. With `spread`, no board row or column takes more than its share of the ticket. Tickets whose
+// shape falls outside any of the `filters` (see shapeFilters) are drawn again.
+function generateTickets(options) {
+    const {
+        strategy = 'random', draws = [], spots, count = 1, include = [], exclude = [],
+        spread = false, modelScores = null, filters = [], random = Math.random
+    } = options;
+
+    if (include.length > spots) throw new Error(`Too many must-include numbers for a ${spots} spot ticket`);
+    if (include.some(num => exclude.includes(num))) throw new Error('A number cannot be both included and excluded');
+    if (KENO_NUMBERS - exclude.length < spots) throw new Error('Too many numbers excluded to fill the ticket');
+
+    const scores = strategyScores(strategy, draws, modelScores);
+    const pairCounts = strategy === 'cooccurrence' ? countPairs(draws) : null;
+    const maxPerRow = Math.ceil(spots / 8);
+    const maxPerColumn = Math.ceil(spots / 10);
+    const rankDecay = 0.85;
+
+    // Co-occurrence clusters grow around the numbers already on the ticket
+    const scoreFor = (number, chosen) => {
+        if (!pairCounts || chosen.length === 0) return scores[number];
+        return chosen.reduce((sum, other) => {
+            const low = Math.min(number, other) - 1;
+            const high = Math.max(number, other) - 1;
+            return sum + pairCounts[low * KENO_NUMBERS + high];
+        }, 0);
+    };
+
+    const buildTicket = () => {
+        const chosen = [...include];
+        const rowCounts = new Array(8).fill(0);
+        const columnCounts = new Array(10).fill(0);
+        chosen.forEach(num => {
+            const { row, column } = boardPosition(num);
+            rowCounts[row]++;
+            columnCounts[column]++;
+        });
+
+        while (chosen.length < spots) {
+            let candidates = [];
+            for (let number = 1; number <= KENO_NUMBERS; number++) {
+                if (!chosen.includes(number) && !exclude.includes(number)) candidates.push(number);
+            }
+            if (spread) {
+                const spreadOut = candidates.filter(number => {
+                    const { row, column } = boardPosition(number);
+                    return rowCounts[row] < maxPerRow && columnCounts[column] < maxPerColumn;
+                });
+                // Must-include numbers can crowd a row; fall back to any free number rather than fail
+                if (spreadOut.length > 0) candidates = spreadOut;
+            }
+
+            // Uniform for random tickets, otherwise geometric weights by rank
+            let weights;
+            if (strategy === 'random') {
+                weights = candidates.map(() => 1);
+            } else {
+                const ranked = candidates
+                    .map(number => ({ number, score: scoreFor(number, chosen) }))
+                    .sort((a, b) => b.score - a.score);
+                candidates = ranked.map(entry => entry.number);
+                weights = ranked.map((_, rank) => Math.pow(rankDecay, rank));
+            }
+
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            let u = random() * total;
+            let index = 0;
+            while (index < weights.length - 1 && u >= weights[index]) {
+                u -= weights[index];
+                index++;
+            }
+
+            const number = candidates[index];
+            const { row, column } = boardPosition(number);
+            rowCounts[row]++;
+            columnCounts[column]++;
+            chosen.push(number);
+        }
+        return chosen.sort((a, b) => a - b);
+    };
+
+    const fitsFilters = ticket => filters.every(({ name, low, high }) => {
+        const value = DRAW_SHAPE_METRICS[name].value(ticket);
+        return value >= low && value <= high;
+    });
+
+    const tickets = [];
+    for (let t = 0; t < count; t++) {
+        let ticket = buildTicket();
+        for (let attempt = 1; !fitsFilters(ticket); attempt++) {
+            if (attempt >= MAX_TICKET_ATTEMPTS) {
+                throw new Error('No ticket matched the draw-shape filters; try a wider range or fewer filters');
+            }
+            ticket = buildTicket();
+        }
+        tickets.push(ticket);
+    }
+    return tickets;
+}
+
+// Walk-forward backtest of scorePredictions (the blend behind generatePredictions).
+// Every replayed game is predicted using only the `lookback` games before it, and we record how many of
+// the top-N predicted numbers were drawn. Yields to the event loop every few hundred games so callers stay responsive,
+// and stops there with an AbortError once options.signal is aborted.
+async function backtestPredictions(draws, options = {}, onProgress = null) {
+    const { topN = 10, lookback = 200, minHistory = 50, maxGames = 1000, signal = null } = options;
+    const games = chronological(draws);
+    const replayCount = maxGames > 0 ? maxGames : games.length;
+    const firstStep = Math.max(minHistory, games.length - replayCount);
+    const hitCounts = new Array(topN + 1).fill(0);
+    const steps = [];
+
+    for (let t = firstStep; t < games.length; t++) {
+        // Past games only, newest first like every other analysis
+        const past = games.slice(Math.max(0, t - lookback), t).reverse();
+        const predicted = scorePredictions(past).slice(0, topN).map(prediction => prediction.number);
+        const drawn = new Set(games[t].numbers);
+        const hits = predicted.filter(num => drawn.has(num)).length;
+
+        hitCounts[hits]++;
+        steps.push({ date: games[t].date, gameNumber: games[t].gameNumber, hits });
+
+        if (steps.length % 250 === 0) {
+            if (onProgress) onProgress(steps.length, games.length - firstStep);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (signal) signal.throwIfAborted();
+        }
+    }
+
+    return summarizeBacktest(hitCounts, steps, topN);
+}
+
+// Blended scores (the blend behind generatePredictions) for numbers 1-80, for the next game first and then for each
+// of the `games` most recent games, each from the `lookback` games before it
+function blendedScoresForGames(draws, games, lookback = 200) {
+    return Array.from({ length: games + 1 }, (_, target) =>
+        Array.from(strategyScores('blended', draws.slice(target, target + lookback)).subarray(1)));
+}
+
+// Compare backtest hit counts against the hypergeometric distribution of a random top-N ticket
+function summarizeBacktest(hitCounts, steps, topN) {
+    const games = steps.length;
+    const expectedProbabilities = hitCounts.map((_, hits) => probabilityOfHitting(hits, topN));
+    const { mean, variance } = distributionMoments(expectedProbabilities);
+    const totalHits = hitCounts.reduce((sum, count, hits) => sum + count * hits, 0);
+
+    // z-test on the total number of hits; one-sided because we only care whether the picks beat random
+    const z = games > 0 && variance > 0 ? (totalHits - games * mean) / Math.sqrt(games * variance) : 0;
+    const chiSquare = chiSquareTest(hitCounts, expectedProbabilities.map(p => p * games));
+
+    return {
+        topN,
+        games,
+        steps,
+        hitCounts,
+        expectedProbabilities,
+        totalHits,
+        averageHits: games > 0 ? totalHits / games : 0,
+        expectedHits: mean,
+        hitRate: games > 0 ? totalHits / (games * topN) : 0,
+        z,
+        pValue: 1 - normalCdf(z),
+        chiSquare
+    };
+}
+
+// Statistical tests of whether a set of draws looks like a fair 20-of-80 draw.
+// Returns the headline tests (Holm-adjusted across the family) and per-number frequency/runs results
+// (Holm-adjusted across the 80 numbers).
+function runRandomnessTests(draws) {
+    const games = chronological(draws);
+    const n = games.length;
+    const p = NUMBERS_DRAWN / KENO_NUMBERS;
+    const sequences = Array.from({ length: KENO_NUMBERS + 1 }, () => new Uint8Array(n));
+    const counts = new Array(KENO_NUMBERS + 1).fill(0);
+    const overlapCounts = new Array(NUMBERS_DRAWN + 1).fill(0);
+    const sumCounts = new Map();
+
+    games.forEach((draw, t) => {
+        let sum = 0;
+        draw.numbers.forEach(num => {
+            sequences[num][t] = 1;
+            counts[num]++;
+            sum += num;
+        });
+        sumCounts.set(sum, (sumCounts.get(sum) || 0) + 1);
+
+        if (t > 0) {
+            const overlap = draw.numbers.filter(num => sequences[num][t - 1] === 1).length;
+            overlapCounts[overlap]++;
+        }
+    });
+
+    // Number frequencies. Each number is drawn with probability p every game, but the 20 numbers of a draw
+    // are picked without replacement, so the counts' variance on the constrained subspace is n*p*(1-p)*80/79
+    // and the statistic below is chi-square with 79 degrees of freedom.
+    const expectedCount = n * p;
+    const countVariance = n * p * (1 - p);
+    let frequencyStatistic = 0;
+    const numbers = [];
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        const deviation = counts[number] - expectedCount;
+        frequencyStatistic += deviation * deviation / (countVariance * KENO_NUMBERS / (KENO_NUMBERS - 1));
+
+        const z = countVariance > 0 ? deviation / Math.sqrt(countVariance) : 0;
+        const runs = runsTest(sequences[number]);
+        const serial = serialCorrelation(sequences[number]);
+        numbers.push({
+            number,
+            count: counts[number],
+            expected: expectedCount,
+            z,
+            pValue: twoSidedPValue(z),
+            runsZ: runs.z,
+            runsPValue: runs.pValue,
+            serialCorrelation: serial.correlation,
+            serialZ: serial.z
+        });
+    }
+
+    const frequencyAdjusted = holmAdjust(numbers.map(entry => entry.pValue));
+    const runsAdjusted = holmAdjust(numbers.map(entry => entry.runsPValue));
+    numbers.forEach((entry, index) => {
+        entry.adjustedPValue = frequencyAdjusted[index];
+        entry.runsAdjustedPValue = runsAdjusted[index];
+    });
+
+    // The per-number runs and serial-correlation z-scores are combined as a sum of squares (approximately chi-square, 80 df)
+    const runsStatistic = numbers.reduce((sum, entry) => sum + entry.runsZ * entry.runsZ, 0);
+    const serialStatistic = numbers.reduce((sum, entry) => sum + entry.serialZ * entry.serialZ, 0);
+
+    // Overlap between consecutive draws is hypergeometric: how many of one draw's 20 numbers are in the next
+    const overlapGames = Math.max(0, n - 1);
+    const overlapExpected = overlapCounts.map((_, k) => probabilityOfHitting(k, NUMBERS_DRAWN) * overlapGames);
+    const overlapTest = chiSquareTest(overlapCounts, overlapExpected);
+
+    // Draw sums against the exact distribution of the sum of 20 distinct numbers from 1-80
+    const sumProbabilities = subsetSumDistribution(NUMBERS_DRAWN, KENO_NUMBERS);
+    const sumObserved = sumProbabilities.map((_, sum) => sumCounts.get(sum) || 0);
+    const firstSum = sumProbabilities.findIndex(probability => probability > 0);
+    const sumTest = chiSquareTest(sumObserved.slice(firstSum), sumProbabilities.slice(firstSum).map(probability => probability * n));
+
+    const tests = [
+        {
+            name: 'Number frequencies (chi-square goodness of fit)',
+            statistic: frequencyStatistic,
+            df: KENO_NUMBERS - 1,
+            pValue: chiSquarePValue(frequencyStatistic, KENO_NUMBERS - 1)
+        },
+        {
+            name: 'Runs test on each number\'s hit sequence (combined)',
+            statistic: runsStatistic,
+            df: KENO_NUMBERS,
+            pValue: chiSquarePValue(runsStatistic, KENO_NUMBERS)
+        },
+        {
+            name: 'Lag-1 serial correlation of each number (combined)',
+            statistic: serialStatistic,
+            df: KENO_NUMBERS,
+            pValue: chiSquarePValue(serialStatistic, KENO_NUMBERS)
+        },
+        {
+            name: 'Overlap between consecutive draws',
+            statistic: overlapTest.statistic,
+            df: overlapTest.df,
+            pValue: overlapTest.pValue
+        },
+        {
+            name: 'Distribution of draw sums',
+            statistic: sumTest.statistic,
+            df: sumTest.df,
+            pValue: sumTest.pValue
+        }
+    ];
+
+    const testsAdjusted = holmAdjust(tests.map(test => test.pValue));
+    tests.forEach((test, index) => {
+        test.adjustedPValue = testsAdjusted[index];
+    });
+
+    return { games: n, tests, numbers };
+}
+
+// One fair 20-of-80 draw (a partial Fisher-Yates shuffle), for simulating statistics with no exact distribution
+function simulateFairDraw(random) {
+    const pool = Array.from({ length: KENO_NUMBERS }, (_, index) => index + 1);
+    for (let i = 0; i < NUMBERS_DRAWN; i++) {
+        const j = i + Math.floor(random() * (KENO_NUMBERS - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, NUMBERS_DRAWN);
+}
+
+// Numbers sharing a side with a number on the board (no diagonals)
+function boardNeighbours(number) {
+    const { row, column } = boardPosition(number);
+    const neighbours = [];
+    if (row > 0) neighbours.push(number - 10);
+    if (row < 7) neighbours.push(number + 10);
+    if (column > 0) neighbours.push(number - 1);
+    if (column < 9) neighbours.push(number + 1);
+    return neighbours;
+}
+
+// Side-by-side pairs among a draw's numbers, and the size of its largest group of touching numbers
+function drawClusters(numbers) {
+    const drawn = new Set(numbers);
+    const seen = new Set();
+    let adjacentPairs = 0;
+    let largestCluster = 0;
+
+    numbers.forEach(number => {
+        boardNeighbours(number).forEach(neighbour => {
+            if (neighbour > number && drawn.has(neighbour)) adjacentPairs++;
+        });
+        if (seen.has(number)) return;
+
+        // Flood fill the group this number belongs to
+        const stack = [number];
+        let size = 0;
+        seen.add(number);
+        while (stack.length > 0) {
+            size++;
+            boardNeighbours(stack.pop()).forEach(neighbour => {
+                if (drawn.has(neighbour) && !seen.has(neighbour)) {
+                    seen.add(neighbour);
+                    stack.push(neighbour);
+                }
+            });
+        }
+        largestCluster = Math.max(largestCluster, size);
+    });
+
+    return { adjacentPairs, largestCluster };
+}
+
+// Board regions compared by analyzeBoardLayout: each a name and the region of every number
+const BOARD_GROUPS = {
+    rows: {
+        labels: ['Row 1', 'Row 2', 'Row 3', 'Row 4', 'Row 5', 'Row 6', 'Row 7', 'Row 8'],
+        of: number => boardPosition(number).row
+    },
+    columns: {
+        labels: ['Column 1', 'Column 2', 'Column 3', 'Column 4', 'Column 5', 'Column 6', 'Column 7', 'Column 8', 'Column 9', 'Column 10'],
+        of: number => boardPosition(number).column
+    },
+    quadrants: {
+        labels: ['Top left', 'Top right', 'Bottom left', 'Bottom right'],
+        of: number => {
+            const { row, column } = boardPosition(number);
+            return (row < 4 ? 0 : 2) + (column < 5 ? 0 : 1);
+        }
+    }
+};
+
+// Where the drawn numbers fall on the 8 x 10 board, against a fair draw:
+// - every cell's count and z-score, for a heat board;
+// - per-draw top/bottom (1-40 vs 41-80) and left/right (columns 1-5 vs 6-10) splits against their exact
+//   hypergeometric distributions;
+// - row, column and quadrant totals. Each draw's region counts are multivariate hypergeometric, whose covariance is
+//   the multinomial one times (80 - 20) / (80 - 1), so the Pearson statistic is rescaled by 79/60 to stay chi-square;
+// - side-by-side pairs per draw, z-tested with their exact mean and variance, and the largest group of touching
+//   numbers per draw, against `simulations` seeded fair draws.
+// The headline tests are Holm-adjusted as a family, like runRandomnessTests.
+function analyzeBoardLayout(draws, simulations = 10000) {
+    const n = draws.length;
+    const p = NUMBERS_DRAWN / KENO_NUMBERS;
+    const cellCounts = new Array(KENO_NUMBERS + 1).fill(0);
+    const topCounts = new Array(NUMBERS_DRAWN + 1).fill(0);
+    const leftCounts = new Array(NUMBERS_DRAWN + 1).fill(0);
+    let adjacentTotal = 0;
+    let largestTotal = 0;
+
+    draws.forEach(draw => {
+        let top = 0;
+        let left = 0;
+        draw.numbers.forEach(number => {
+            cellCounts[number]++;
+            if (number <= 40) top++;
+            if (boardPosition(number).column < 5) left++;
+        });
+        topCounts[top]++;
+        leftCounts[left]++;
+
+        const { adjacentPairs, largestCluster } = drawClusters(draw.numbers);
+        adjacentTotal += adjacentPairs;
+        largestTotal += largestCluster;
+    });
+
+    const countVariance = n * p * (1 - p);
+    const cells = [];
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        cells.push({
+            number,
+            ...boardPosition(number),
+            count: cellCounts[number],
+            expected: n * p,
+            z: countVariance > 0 ? (cellCounts[number] - n * p) / Math.sqrt(countVariance) : 0
+        });
+    }
+
+    // Both halves hold 40 numbers, so a draw's count in either is hypergeometric
+    const halfProbabilities = topCounts.map((_, k) => probabilityInSection(k, 40));
+    const split = (name, first, second, counts) => ({
+        name,
+        first,
+        second,
+        counts,
+        expectedProbabilities: halfProbabilities,
+        mean: n > 0 ? counts.reduce((sum, count, k) => sum + count * k, 0) / n : 0,
+        test: chiSquareTest(counts, halfProbabilities.map(probability => probability * n))
+    });
+    const splits = [
+        split('Top/Bottom', 'top half (1-40)', 'bottom half (41-80)', topCounts),
+        split('Left/Right', 'left half (columns 1-5)', 'right half (columns 6-10)', leftCounts)
+    ];
+
+    const hypergeometricScale = (KENO_NUMBERS - 1) / (KENO_NUMBERS - NUMBERS_DRAWN);
+    const groups = {};
+    Object.entries(BOARD_GROUPS).forEach(([name, { labels, of }]) => {
+        const counts = new Array(labels.length).fill(0);
+        const sizes = new Array(labels.length).fill(0);
+        for (let number = 1; number <= KENO_NUMBERS; number++) {
+            counts[of(number)] += cellCounts[number];
+            sizes[of(number)]++;
+        }
+        const expected = sizes.map(size => n * NUMBERS_DRAWN * size / KENO_NUMBERS);
+        const statistic = hypergeometricScale * counts.reduce((sum, count, index) =>
+            sum + (expected[index] > 0 ? (count - expected[index]) ** 2 / expected[index] : 0), 0);
+        groups[name] = {
+            labels,
+            counts,
+            expected,
+            statistic,
+            df: labels.length - 1,
+            pValue: chiSquarePValue(statistic, labels.length - 1)
+        };
+    });
+
+    // Side-by-side pairs: a sum over the board's edges of whether both ends were drawn. Two edges sharing a number
+    // need 3 given numbers drawn and two apart need 4, which gives the exact variance.
+    let edges = 0;
+    let touchingEdgePairs = 0;
+    for (let number = 1; number <= KENO_NUMBERS; number++) {
+        const degree = boardNeighbours(number).length;
+        edges += degree;
+        touchingEdgePairs += degree * (degree - 1);
+    }
+    edges /= 2;
+    const drawnTogether = size => {
+        let chance = 1;
+        for (let i = 0; i < size; i++) chance *= (NUMBERS_DRAWN - i) / (KENO_NUMBERS - i);
+        return chance;
+    };
+    const [p2, p3, p4] = [drawnTogether(2), drawnTogether(3), drawnTogether(4)];
+    const separateEdgePairs = edges * (edges - 1) - touchingEdgePairs;
+    const adjacentMean = edges * p2;
+    const adjacentVariance = edges * p2 * (1 - p2) + touchingEdgePairs * (p3 - p2 * p2) + separateEdgePairs * (p4 - p2 * p2);
+    const adjacentZ = n > 0 ? (adjacentTotal - n * adjacentMean) / Math.sqrt(n * adjacentVariance) : 0;
+
+    // The largest touching group has no closed form, so compare against seeded fair draws. The simulated mean is
+    // itself uncertain, which the z-score allows for.
+    const random = createSeededRandom('board-clusters');
+    let simulatedSum = 0;
+    let simulatedSquares = 0;
+    for (let i = 0; i < simulations; i++) {
+        const largest = drawClusters(simulateFairDraw(random)).largestCluster;
+        simulatedSum += largest;
+        simulatedSquares += largest * largest;
+    }
+    const clusterMean = simulatedSum / simulations;
+    const clusterVariance = simulatedSquares / simulations - clusterMean * clusterMean;
+    const clusterZ = n > 0 && clusterVariance > 0
+        ? (largestTotal / n - clusterMean) / Math.sqrt(clusterVariance / n + clusterVariance / simulations)
+        : 0;
+
+    const clusters = {
+        adjacentPairs: { observed: n > 0 ? adjacentTotal / n : 0, expected: adjacentMean, z: adjacentZ },
+        largestCluster: { observed: n > 0 ? largestTotal / n : 0, expected: clusterMean, z: clusterZ, simulations }
+    };
+
+    const tests = [
+        ...splits.map(({ name, test }) => ({ name: `${name} split per draw`, ...test })),
+        ...Object.entries(groups).map(([name, group]) => ({
+            name: `${name.charAt(0).toUpperCase() + name.slice(1)} totals`,
+            statistic: group.statistic,
+            df: group.df,
+            pValue: group.pValue
+        })),
+        { name: 'Side-by-side pairs per draw (z)', statistic: adjacentZ, df: null, pValue: twoSidedPValue(adjacentZ) },
+        { name: 'Largest touching group per draw (z, simulated)', statistic: clusterZ, df: null, pValue: twoSidedPValue(clusterZ) }
+    ];
+    const testsAdjusted = holmAdjust(tests.map(test => test.pValue));
+    tests.forEach((test, index) => {
+        test.adjustedPValue = testsAdjusted[index];
+    });
+
+    return { games: n, cells, splits, groups, clusters, tests };
+}
+
+// Node (train.js) loads this file with require
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KENO_NUMBERS,
+        NUMBERS_DRAWN,
+        parseDrawDate,
+        normalizeTodayDraws,
+        normalizeHistoryDraws,
+        selectDraws,
+        chronological,
+        boardPosition
+    };
+}
@@ -0,0 +1,42 @@
+// Web Worker that runs the analysis engine off the page's main thread (protocol in workerJobs.js)
+importScripts('statistics.js', 'analysisEngine.js', 'combinations.js', 'payoutMath.js', 'wheeling.js', 'workerJobs.js');
+
+serveJobs({
+    // Every table on a community screen, sent one at a time so each is drawn as soon as it is ready
+    locationAnalysis: async ({ draws }, { partial, checkpoint }) => {
+        const counts = getNumberCounts(draws);
+        partial('counts', counts);
+        await checkpoint();
+        partial('combinations', analyzeNumberCombinations(draws, counts));
+        await checkpoint();
+        partial('predictions', generatePredictions(draws));
+        await checkpoint();
+        partial('streaks', analyzeStreaks(draws));
+        await checkpoint();
+        partial('cooccurrence', analyzeNumberCoOccurrence(draws));
+    },
+
+    randomness: ({ draws }) => runRandomnessTests(draws),
+
+    pairLift: ({ draws }) => analyzePairLift(draws),
+
+    boardLayout: ({ draws }) => analyzeBoardLayout(draws),
+
+    drawShapes: ({ draws }) => analyzeDrawShapes(draws),
+
+    gaps: ({ draws }) => analyzeGapDistribution(draws),
+
+    backtest: ({ draws, options }, { signal, progress }) =>
+        backtestPredictions(draws, { ...options, signal }, (done, total) => progress({ done, total })),
+
+    patterns: ({ draws }) => analyzePatterns(draws),
+
+    // Wheel tickets, then their payout exposure over every subset of the pool. Each step runs to the end once
+    // started, so a cancelled build stops between them.
+    wheel: async ({ pool, spots, guaranteeHits, guaranteeDrawn, gameData, betAmount }, { progress, checkpoint }) => {
+        const tickets = generateWheel(pool, spots, guaranteeHits, guaranteeDrawn);
+        progress({ tickets: tickets.length });
+        await checkpoint();
+        return { tickets, exposure: wheelExposure(pool, tickets, gameData, spots, betAmount) };
+    }
+});
@@ -4,15 +4,20 @@ const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
 
-// URLs for different Big Red Keno locations
-const urls = ['https://results.bigredkeno.com/?community=omaha', 'https://results.bigredkeno.com/?community=lincoln', 'https://results.bigredkeno.com/?community=fremont', 'https://results.bigredkeno.com/?community=norfolk', 'https://results.bigredkeno.com/?community=blair', 'https://results.bigredkeno.com/?community=beatrice'];
+// Big Red Keno communities (display name, results URL slug, expected games per day)
+const communities = require('./data/communities.json');
+
+// Build the BRK results URL for a community
+function resultsUrl(community) {
+    return `https://results.bigredkeno.com/?community=${community.slug}`;
+}
 
 // Function to scrape data from all BRK locations
 async function scrapeAllLocations() {
-    for (let i = 0; i < urls.length; i++) {
-        console.log('Scraping location:', urls[i]);
-        const location = urls[i].split('community=')[1];
-        await scrapeKenoTable(urls[i], location);
+    for (const community of communities) {
+        const url = resultsUrl(community);
+        console.log('Scraping location:', url);
+        await scrapeKenoTable(url, community.slug);
     }
 }
 
@@ -54,7 +59,8 @@ async function scrapeKenoTable(url, location) {
     }
 }
 
-async function scrapeAllDates(url, location, browser) {
+async function scrapeAllDates(url, community, browser) {
+    const location = community.slug;
     const page = await browser.newPage();
     await page.goto(url);
     console.log(`Scraping ${location}...`);
@@ -79,22 +85,8 @@ async function scrapeAllDates(url, location, browser) {
         // Check if date already has data and its entry count
         const existingEntries = allData[date] ? Object.keys(allData[date]).length : 0;
 
-        if (existingEntries >= 190 && location === 'omaha') {
-            console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
-            continue; // Skip this date
-        } else if (existingEntries >= 190 && location === 'lincoln') {
-            console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
-            continue; // Skip this date
-        } else if (existingEntries >= 160 && location === 'fremont') {
-            console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
-            continue; // Skip this date
-        } else if(existingEntries >= 160 && location === 'norfolk') {
-            console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
-            continue; // Skip this date
-        } else if (existingEntries >= 190 && location === 'blair') {
-            console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
-            continue; // Skip this date
-        } else if (existingEntries >= 200 && location === 'beatrice') {
+        // A date is complete once it holds a full day of games for this community
+        if (existingEntries >= community.gamesPerDay) {
             console.log(`Skipping ${date}, already has ${existingEntries} entries.`);
             continue; // Skip this date
         }
@@ -131,9 +123,8 @@ async function scrapeAllDates(url, location, browser) {
     const browser = await puppeteer.launch({ headless: true });
     await scrapeAllLocations();
     try {
-        for (const url of urls) {
-            const location = url.split('community=')[1];
-            await scrapeAllDates(url, location, browser);
+        for (const community of communities) {
+            await scrapeAllDates(resultsUrl(community), community, browser);
         }
         console.log("Finished scraping all data.");
     } catch (error) {
@@ -0,0 +1,236 @@
+// Scoring of model predictions on held-out games, shared by the page and the training CLI.
+// Works on plain arrays (no DOM, no TF.js) and uses the hypergeometric helpers from statistics.js.
+
+// Chance that any one number is among the 20 drawn
+const BASE_RATE = 20 / 80;
+
+// Probabilities are clamped before taking logs so a confident miss costs a large but finite loss
+const PROBABILITY_EPSILON = 1e-7;
+
+// Distribution of hits per game for picks of varying size, against the hypergeometric expectation.
+// hitCounts[i] is how many of the spotCounts[i] picked numbers were drawn in game i.
+function hitSummary(hitCounts, spotCounts) {
+    const maxSpots = Math.max(...spotCounts);
+    const observed = new Array(maxSpots + 1).fill(0);
+    const expected = new Array(maxSpots + 1).fill(0);
+    let expectedHits = 0;
+
+    hitCounts.forEach((hits, game) => {
+        const spots = spotCounts[game];
+        observed[hits]++;
+        for (let matches = 0; matches <= spots; matches++) {
+            expected[matches] += probabilityOfHitting(matches, spots);
+        }
+        expectedHits += spots * BASE_RATE;
+    });
+
+    const games = hitCounts.length;
+    return {
+        meanHits: hitCounts.reduce((sum, hits) => sum + hits, 0) / games,
+        expectedHits: expectedHits / games,
+        observed,
+        expected,
+        test: chiSquareTest(observed, expected)
+    };
+}
+
+// Calibration of per-number probabilities: predictions are grouped into equal-width bins over the range
+// actually predicted (they tend to cluster near the base rate) and each bin's mean prediction is compared
+// with how often those numbers were drawn
+function reliabilityBins(probabilities, draws, binCount = 10) {
+    let min = Infinity;
+    let max = -Infinity;
+    probabilities.forEach(row => row.forEach(p => {
+        min = Math.min(min, p);
+        max = Math.max(max, p);
+    }));
+    const width = max > min ? (max - min) / binCount : 1;
+
+    const bins = Array.from({ length: binCount }, (_, bin) => ({
+        from: min + bin * width,
+        to: min + (bin + 1) * width,
+        count: 0,
+        predictedSum: 0,
+        drawnCount: 0
+    }));
+
+    probabilities.forEach((row, game) => {
+        const drawn = new Set(draws[game]);
+        row.forEach((p, index) => {
+            const bin = bins[Math.min(binCount - 1, Math.floor((p - min) / width))];
+            bin.count++;
+            bin.predictedSum += p;
+            if (drawn.has(index + 1)) bin.drawnCount++;
+        });
+    });
+
+    return bins.filter(bin => bin.count > 0).map(bin => ({
+        from: bin.from,
+        to: bin.to,
+        count: bin.count,
+        meanPredicted: bin.predictedSum / bin.count,
+        observedRate: bin.drawnCount / bin.count
+    }));
+}
+
+// Score 80-number probability predictions (Model C and the combo ranker) against the games that followed.
+// probabilities[i] holds the predicted chance of each of numbers 1-80 for held-out game i, and draws[i]
+// the 20 numbers actually drawn. Log-loss and Brier score are compared with always predicting the base rate.
+function evaluateProbabilities(probabilities, draws) {
+    let logLoss = 0;
+    let brier = 0;
+    let baseLogLoss = 0;
+    let baseBrier = 0;
+    const hitCounts = [];
+
+    probabilities.forEach((row, game) => {
+        const drawn = new Set(draws[game]);
+        row.forEach((p, index) => {
+            const outcome = drawn.has(index + 1) ? 1 : 0;
+            const clamped = Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, p));
+            logLoss -= outcome ? Math.log(clamped) : Math.log(1 - clamped);
+            brier += (p - outcome) * (p - outcome);
+            baseLogLoss -= outcome ? Math.log(BASE_RATE) : Math.log(1 - BASE_RATE);
+            baseBrier += (BASE_RATE - outcome) * (BASE_RATE - outcome);
+        });
+
+        // Hits for the 20 numbers the model rates highest
+        const topPicks = row.map((p, index) => ({ number: index + 1, p }))
+            .sort((a, b) => b.p - a.p)
+            .slice(0, 20);
+        hitCounts.push(topPicks.filter(pick => drawn.has(pick.number)).length);
+    });
+
+    const predictions = probabilities.length * 80;
+    logLoss /= predictions;
+    brier /= predictions;
+    baseLogLoss /= predictions;
+    baseBrier /= predictions;
+
+    return {
+        kind: 'probabilities',
+        games: probabilities.length,
+        logLoss,
+        baseLogLoss,
+        brier,
+        baseBrier,
+        // Skill scores: positive means better than the base rate, 0 means no better
+        logLossSkill: 1 - logLoss / baseLogLoss,
+        brierSkill: 1 - brier / baseBrier,
+        hits: hitSummary(hitCounts, hitCounts.map(() => 20)),
+        reliability: reliabilityBins(probabilities, draws)
+    };
+}
+
+// Score predicted games (Models A and B) against the games that followed. Their 20 outputs often round to
+// repeated numbers, so each prediction is judged on its distinct numbers and its hits are compared with
+// what that many random picks would be expected to catch.
+function evaluateNumberPredictions(predictedNumbers, draws) {
+    const hitCounts = [];
+    const spotCounts = [];
+
+    predictedNumbers.forEach((numbers, game) => {
+        const picks = new Set(numbers);
+        const drawn = new Set(draws[game]);
+        spotCounts.push(picks.size);
+        hitCounts.push([...picks].filter(number => drawn.has(number)).length);
+    });
+
+    return {
+        kind: 'numbers',
+        games: predictedNumbers.length,
+        meanDistinctPicks: spotCounts.reduce((sum, spots) => sum + spots, 0) / spotCounts.length,
+        hits: hitSummary(hitCounts, spotCounts)
+    };
+}
+
+// The headline numbers of an evaluation, flattened for the saved model metadata and the comparison table
+function holdoutMetrics(evaluation) {
+    const metrics = {
+        holdout_games: evaluation.games,
+        holdout_mean_hits: evaluation.hits.meanHits,
+        holdout_expected_hits: evaluation.hits.expectedHits,
+        holdout_hits_p_value: evaluation.hits.test.pValue
+    };
+    if (evaluation.kind === 'probabilities') {
+        metrics.holdout_log_loss = evaluation.logLoss;
+        metrics.holdout_brier = evaluation.brier;
+        metrics.holdout_brier_skill = evaluation.brierSkill;
+    }
+    return metrics;
+}
+
+// Per-number scores that aren't probabilities (Model A and B vote counts, heuristic scores) as probabilities that
+// can be scored and averaged with the models': shifted to be non-negative and scaled so the 80 sum to the
+// 20 numbers drawn, capped at 1
+function scoresToProbabilities(scores) {
+    const lowest = Math.min(0, ...scores);
+    const total = scores.reduce((sum, score) => sum + score - lowest, 0);
+    if (total === 0) return scores.map(() => BASE_RATE);
+    return scores.map(score => Math.min(1, (score - lowest) / total * 20));
+}
+
+// The average of the predictors' probabilities, for the next game and each scored game
+function ensemblePredictor(predictors, name = 'Ensemble') {
+    const average = rows => rows[0].map((_, index) => rows.reduce((sum, row) => sum + row[index], 0) / rows.length);
+    return {
+        name,
+        next: average(predictors.map(predictor => predictor.next)),
+        past: predictors[0].past.map((_, game) => average(predictors.map(predictor => predictor.past[game])))
+    };
+}
+
+// Line predictors up against each other: each one's top-N numbers for the next game, how many of them every
+// pair of predictors shares, and how each one's top N did on the scored games. Every predictor has `next`
+// (80 probabilities for the next game) and `past`, where past[i] predicted draws[i] from the games before it.
+function comparePredictors(predictors, draws, topN = 10) {
+    const topNumbers = scores => scores
+        .map((p, index) => ({ number: index + 1, p }))
+        .sort((a, b) => b.p - a.p || a.number - b.number)
+        .slice(0, topN)
+        .map(pick => pick.number);
+
+    const rows = predictors.map(({ name, note, next, past }) => {
+        const hitCounts = past.map((scores, game) => {
+            const drawn = new Set(draws[game]);
+            return topNumbers(scores).filter(number => drawn.has(number)).length;
+        });
+        return {
+            name,
+            note,
+            picks: topNumbers(next),
+            probabilities: next,
+            hits: hitSummary(hitCounts, hitCounts.map(() => topN)),
+            brierSkill: evaluateProbabilities(past, draws).brierSkill
+        };
+    });
+
+    // How many predictors put each number in their top N
+    const votes = new Array(81).fill(0);
+    rows.forEach(row => row.picks.forEach(number => votes[number]++));
+    const consensus = [];
+    for (let number = 1; number <= 80; number++) {
+        if (votes[number] > 1) consensus.push({ number, votes: votes[number] });
+    }
+
+    return {
+        topN,
+        games: draws.length,
+        rows,
+        overlap: rows.map(a => rows.map(b => a.picks.filter(number => b.picks.includes(number)).length)),
+        consensus: consensus.sort((a, b) => b.votes - a.votes || a.number - b.number)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BASE_RATE,
+        evaluateProbabilities,
+        evaluateNumberPredictions,
+        reliabilityBins,
+        holdoutMetrics,
+        scoresToProbabilities,
+        ensemblePredictor,
+        comparePredictors
+    };
+}
@@ -0,0 +1,148 @@
+// Per-number features for the ML models, each computed strictly from the draws before the game it describes.
+// Nothing in this file touches the DOM or TF.js. Draws are the normalized objects from analysisEngine.js,
+// most recent first; boardPosition comes from analysisEngine.js.
+
+// Features a model can select, in the order they are stacked for each number
+const NUMBER_FEATURES = {
+    gap: 'Games since the number was last drawn',
+    frequency10: 'Share of the last 10 games that drew the number',
+    frequency50: 'Share of the last 50 games that drew the number',
+    frequency200: 'Share of the last 200 games that drew the number',
+    streak: 'Consecutive latest games that drew the number',
+    row: 'Board row',
+    column: 'Board column',
+    cooccurrence: 'How often the number has been drawn with the previous game\'s numbers'
+};
+
+const FREQUENCY_WINDOWS = { frequency10: 10, frequency50: 50, frequency200: 200 };
+
+// Gaps and streaks are capped so the features stay in [0, 1]
+const MAX_FEATURE_GAP = 40;
+const MAX_FEATURE_STREAK = 10;
+
+// Chance that a given pair of numbers is drawn together in one game: (20/80) * (19/79)
+const PAIR_RATE = 20 * 19 / (80 * 79);
+
+// Games of history the named features look back over: with at least that many games before it, a game's features
+// are the same as from the full history. Co-occurrence counts pairs over every earlier game, so it needs them all.
+function featureLookback(names) {
+    return names.reduce((lookback, name) => {
+        if (name === 'gap') return Math.max(lookback, MAX_FEATURE_GAP);
+        if (FREQUENCY_WINDOWS[name]) return Math.max(lookback, FREQUENCY_WINDOWS[name]);
+        if (name === 'streak') return Math.max(lookback, MAX_FEATURE_STREAK);
+        if (name === 'cooccurrence') return Infinity;
+        return lookback;
+    }, 0);
+}
+
+// Compute the named features for every game. Values are stacked per target game, 80 numbers x names.length:
+// target 0 is the game after the most recent draw and target i + 1 is draws[i], so no target sees its own game.
+// latestOnly keeps just target 0, for predicting without holding every game's features in memory.
+function buildNumberFeatures(draws, names, latestOnly = false) {
+    const size = names.length;
+    const targets = latestOnly ? 1 : draws.length + 1;
+    const values = new Float32Array(size === 0 ? 0 : targets * 80 * size);
+    const features = { names, size, latestOnly, values };
+    if (size === 0) return features;
+
+    const lastSeen = new Int32Array(81).fill(-1);
+    const streaks = new Int32Array(81);
+    const windowCounts = {};
+    Object.keys(FREQUENCY_WINDOWS).forEach(name => {
+        windowCounts[name] = new Int32Array(81);
+    });
+    const pairCounts = new Uint32Array(81 * 81);
+    let gamesSeen = 0;
+
+    // Features of the game after everything seen so far
+    const write = target => {
+        if (latestOnly && target !== 0) return;
+        const offset = (latestOnly ? 0 : target) * 80 * size;
+        const previous = gamesSeen > 0 ? draws[target].numbers : [];
+
+        for (let number = 1; number <= 80; number++) {
+            const base = offset + (number - 1) * size;
+            names.forEach((name, f) => {
+                let value;
+                if (name === 'gap') {
+                    const gap = lastSeen[number] < 0 ? MAX_FEATURE_GAP : gamesSeen - 1 - lastSeen[number];
+                    value = Math.min(gap, MAX_FEATURE_GAP) / MAX_FEATURE_GAP;
+                } else if (FREQUENCY_WINDOWS[name]) {
+                    const games = Math.min(gamesSeen, FREQUENCY_WINDOWS[name]);
+                    value = games > 0 ? windowCounts[name][number] / games : 0;
+                } else if (name === 'streak') {
+                    value = Math.min(streaks[number], MAX_FEATURE_STREAK) / MAX_FEATURE_STREAK;
+                } else if (name === 'row') {
+                    value = boardPosition(number).row / 7;
+                } else if (name === 'column') {
+                    value = boardPosition(number).column / 9;
+                } else if (name === 'cooccurrence') {
+                    // Mean pair rate with the previous game's other numbers, relative to chance (1 = chance, capped at 2)
+                    let sum = 0;
+                    let partners = 0;
+                    previous.forEach(other => {
+                        if (other === number) return;
+                        const low = Math.min(number, other);
+                        const high = Math.max(number, other);
+                        sum += pairCounts[low * 81 + high];
+                        partners++;
+                    });
+                    const ratio = partners > 0 ? sum / partners / gamesSeen / PAIR_RATE : 1;
+                    value = Math.min(ratio, 2) / 2;
+                } else {
+                    throw new Error(`Unknown feature: ${name}`);
+                }
+                values[base + f] = value;
+            });
+        }
+    };
+
+    // Walk forward in time, writing each game's features before adding the game itself
+    for (let i = draws.length - 1; i >= 0; i--) {
+        write(i + 1);
+
+        const numbers = draws[i].numbers;
+        const drawn = new Set(numbers);
+        for (let number = 1; number <= 80; number++) {
+            streaks[number] = drawn.has(number) ? streaks[number] + 1 : 0;
+        }
+        numbers.forEach(number => {
+            lastSeen[number] = gamesSeen;
+        });
+
+        Object.entries(FREQUENCY_WINDOWS).forEach(([name, window]) => {
+            const counts = windowCounts[name];
+            numbers.forEach(number => counts[number]++);
+            // Drop the game that just left the window
+            if (i + window < draws.length) draws[i + window].numbers.forEach(number => counts[number]--);
+        });
+
+        for (let a = 0; a < numbers.length; a++) {
+            for (let b = a + 1; b < numbers.length; b++) {
+                const low = Math.min(numbers[a], numbers[b]);
+                const high = Math.max(numbers[a], numbers[b]);
+                pairCounts[low * 81 + high]++;
+            }
+        }
+        gamesSeen++;
+    }
+    write(0);
+
+    return features;
+}
+
+// The 80 x size features of draws[index], or of the next game for index -1
+function featuresBefore(features, index) {
+    const target = features.latestOnly ? 0 : index + 1;
+    const length = 80 * features.size;
+    return features.values.subarray(target * length, (target + 1) * length);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NUMBER_FEATURES,
+        featureLookback,
+        buildNumberFeatures,
+        featuresBefore
+    };
+}
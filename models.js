@@ -0,0 +1,701 @@
+// Preprocessing, architectures and hyperparameters for the TF.js models, shared by the page and the training CLI.
+// Expects the TF.js library as the global `tf`, the scoring functions from evaluation.js, the feature builder
+// from features.js and the combination miner from combinations.js: the page loads them with script tags and
+// train.js sets them as globals before requiring this file.
+// `features` in each model's hyperparameters names the per-number features (features.js) appended to its inputs.
+// Draws are the normalized { date, gameNumber, numbers } objects from analysisEngine.js, most recent first.
+
+// Fit settings shared by every model, recorded with each saved model.
+// The most recent holdoutGames games are never trained on or validated on: they are the held-out evaluation.
+// The same number of games just before them are the validation set. Fitting stops once validation loss hasn't
+// improved for `patience` epochs (0 trains for every epoch), keeping the weights of the best epoch.
+const TRAINING_DEFAULTS = {
+    epochs: 10,
+    batchSize: 32,
+    holdoutGames: 500,
+    patience: 3
+};
+
+// Optimizers createOptimizer knows how to build
+const OPTIMIZER_TYPES = ['adam', 'adamax', 'adadelta', 'rmsprop'];
+
+// layers: units of the two hidden dense layers, then the outputs (20 numbers scaled to [0, 1] for Models A and B,
+// 80 probabilities for Model C)
+const MODEL_A_HYPERPARAMETERS = {
+    optimizer: 'rmsprop',
+    learningRate: 0.001,
+    layers: [128, 64, 20],
+    dropout: [0.3, 0.2],
+    l2: 0.01,
+    features: [],
+    ...TRAINING_DEFAULTS
+};
+
+const MODEL_B_HYPERPARAMETERS = {
+    optimizer: 'adamax',
+    learningRate: 0.0005,
+    windowSize: 5,
+    layers: [128, 64, 20],
+    dropout: [0.3, 0.2],
+    l2: 0.01,
+    features: ['frequency200'],
+    ...TRAINING_DEFAULTS
+};
+
+const MODEL_C_HYPERPARAMETERS = {
+    optimizer: 'adam',
+    learningRate: 0.001,
+    windowSize: 5,
+    layers: [128, 64, 80],
+    dropout: [0.3, 0.2],
+    l2: 0,
+    features: [],
+    ...TRAINING_DEFAULTS
+};
+
+// Model D: an LSTM over the last windowSize draws as 80-number indicator vectors (layers: LSTM units, dense units, outputs)
+const MODEL_D_HYPERPARAMETERS = {
+    optimizer: 'adam',
+    learningRate: 0.001,
+    windowSize: 10,
+    layers: [64, 64, 80],
+    dropout: [0.2, 0.2],
+    l2: 0,
+    features: [],
+    ...TRAINING_DEFAULTS
+};
+
+// The Hybrid Combo Ranker trains a probability model (source) and boosts combos by its probabilities
+const COMBO_RANKER_HYPERPARAMETERS = {
+    ...MODEL_C_HYPERPARAMETERS,
+    source: 'modelC',
+    comboSizes: [3, 4, 5],
+    comboWindow: 500
+};
+
+// FOR MODEL A
+
+const preprocessData = (data, featureNames = MODEL_A_HYPERPARAMETERS.features) => {
+    const inputs = [];
+    const labels = [];
+    const features = buildNumberFeatures(data, featureNames);
+
+    // Process sequential games (data is most recent first, so the game after data[i] is data[i - 1])
+    for (let i = 1; i < data.length; i++) {
+        const currentGame = data[i];
+        const nextGame = data[i - 1];
+        const normalizedCurrent = currentGame.numbers.map(n => n / 80);
+        const normalizedNext = nextGame.numbers.map(n => n / 80);
+
+        if (normalizedCurrent.length === 20 && normalizedNext.length === 20) {
+            // Features describe the game being predicted, from the games before it
+            inputs.push([...normalizedCurrent, ...featuresBefore(features, i - 1)]);
+            labels.push(normalizedNext);
+        }
+    }
+
+    return {
+        inputs: tf.tensor2d(inputs, [inputs.length, 20 + 80 * features.size]),
+        labels: tf.tensor2d(labels, [labels.length, 20])
+    };
+};
+
+const createOptimizer = (type, config) => {
+    switch (type) {
+        case 'adam':
+            return tf.train.adam(config.learningRate, config.beta1, config.beta2, config.epsilon);
+        case 'adamax':
+            return tf.train.adamax(config.learningRate, config.beta1, config.beta2, config.epsilon);
+        case 'adadelta':
+            return tf.train.adadelta(config.learningRate, config.rho, config.epsilon);
+        case 'rmsprop':
+            return tf.train.rmsprop(config.learningRate, config.decay, config.momentum, config.epsilon);
+        default:
+            return tf.train.adam(0.001);
+    }
+};
+
+function createModelA(inputLength = 20, hyperparameters = MODEL_A_HYPERPARAMETERS) {
+    const { layers, dropout, l2 } = hyperparameters;
+    const optimizer = createOptimizer(hyperparameters.optimizer, {
+        learningRate: hyperparameters.learningRate,
+        beta1: 0.9,
+        beta2: 0.999,
+        epsilon: 1e-7
+    });
+
+    // Create the model with proper initialization
+    const model = tf.sequential({
+        layers: [
+            tf.layers.dense({
+                units: layers[0],
+                activation: 'relu',
+                inputShape: [inputLength],
+                kernelInitializer: 'glorotNormal',
+                kernelRegularizer: tf.regularizers.l2({ l2 }),
+                biasInitializer: 'zeros'
+            }),
+            tf.layers.dropout({ rate: dropout[0] }),
+            tf.layers.batchNormalization(),
+
+            tf.layers.dense({
+                units: layers[1],
+                activation: 'relu',
+                kernelInitializer: 'glorotNormal',
+                kernelRegularizer: tf.regularizers.l2({ l2 }),
+                biasInitializer: 'zeros'
+            }),
+
+            tf.layers.dropout({ rate: dropout[1] }),
+            tf.layers.batchNormalization(),
+
+            tf.layers.dense({
+                units: 20,
+                activation: 'sigmoid',  // Changed to sigmoid since we normalized to [0,1]
+                kernelInitializer: 'glorotNormal',
+                biasInitializer: 'zeros'
+            })
+        ]
+    });
+
+    model.compile({
+        optimizer: optimizer,
+        loss: 'meanSquaredError',
+        metrics: ['mse']
+    });
+
+    return model;
+}
+
+// FOR MODEL B
+
+const preprocessDataModel2 = (data, windowSize = MODEL_B_HYPERPARAMETERS.windowSize, featureNames = MODEL_B_HYPERPARAMETERS.features) => {
+    const inputs = [];
+    const labels = [];
+    const features = buildNumberFeatures(data, featureNames);
+
+    // Process sequential games with rolling windows, each labelled with the game that followed it
+    for (let i = 1; i <= data.length - windowSize; i++) {
+        const input = [];
+        // Add rolling window numbers
+        for (let j = 0; j < windowSize; j++) {
+            input.push(...data[i + j].numbers.map(n => n / 80));
+        }
+
+        // Add the per-number features of the game being predicted (by default its hot/cold frequencies)
+        input.push(...featuresBefore(features, i - 1));
+
+        // Add label
+        const nextGame = data[i - 1].numbers.map(n => n / 80);
+        inputs.push(input);
+        labels.push(nextGame);
+    }
+
+    return {
+        inputs: tf.tensor2d(inputs, [inputs.length, inputs[0].length]),
+        labels: tf.tensor2d(labels, [labels.length, 20])
+    };
+};
+
+// Model B: Model A widened with a rolling window of games and per-number features
+function createModelB(inputLength, hyperparameters = MODEL_B_HYPERPARAMETERS) {
+    const { layers, dropout, l2 } = hyperparameters;
+    const optimizer = createOptimizer(hyperparameters.optimizer, {
+        learningRate: hyperparameters.learningRate,
+        beta1: 0.9,
+        beta2: 0.999,
+        epsilon: 1e-7
+    });
+
+    // Updated model architecture with batch normalization
+    const model = tf.sequential({
+        layers: [
+            tf.layers.dense({
+                units: layers[0],
+                activation: 'relu',
+                inputShape: [inputLength],
+                kernelInitializer: 'glorotNormal',
+                kernelRegularizer: tf.regularizers.l2({ l2 }),
+                biasInitializer: 'zeros'
+            }),
+
+            tf.layers.dropout({ rate: dropout[0] }),
+            tf.layers.batchNormalization(),
+
+            tf.layers.dense({
+                units: layers[1],
+                activation: 'relu',
+                kernelInitializer: 'glorotNormal',
+                kernelRegularizer: tf.regularizers.l2({ l2 }),
+                biasInitializer: 'zeros'
+            }),
+
+            tf.layers.dropout({ rate: dropout[1] }),
+            tf.layers.batchNormalization(),
+
+            tf.layers.dense({
+                units: 20,
+                activation: 'sigmoid',
+                kernelInitializer: 'glorotNormal',
+                biasInitializer: 'zeros'
+            })
+        ]
+    });
+
+    model.compile({
+        optimizer: optimizer,
+        loss: 'meanSquaredError',
+        metrics: ['mse']
+    });
+
+    return model;
+}
+
+// FOR MODEL C
+
+// === Model C: Binary Classification for Future Hot Numbers ===
+
+function preprocessBinaryClassificationData(data, windowSize = MODEL_C_HYPERPARAMETERS.windowSize, featureNames = MODEL_C_HYPERPARAMETERS.features) {
+    const inputs = [];
+    const labels = [];
+    const features = buildNumberFeatures(data, featureNames);
+
+    // Each window is labelled with the game that followed it, so examples stay most recent first like the data
+    for (let i = 1; i <= data.length - windowSize; i++) {
+        const window = data.slice(i, i + windowSize);
+        const nextGame = data[i - 1];
+
+        const input = window.flatMap(game => game.numbers.map(n => n / 80));
+        input.push(...featuresBefore(features, i - 1));
+        const label = Array(80).fill(0);
+        nextGame.numbers.forEach(n => {
+            label[n - 1] = 1;
+        });
+
+        inputs.push(input);
+        labels.push(label);
+    }
+
+    return {
+        inputs: tf.tensor2d(inputs),
+        labels: tf.tensor2d(labels)
+    };
+}
+
+function createBinaryClassifierModel(inputLength = 100, hyperparameters = MODEL_C_HYPERPARAMETERS) {
+    const { layers, dropout, l2 } = hyperparameters;
+    // Model C has no weight decay unless a setting asks for it
+    const kernelRegularizer = l2 > 0 ? tf.regularizers.l2({ l2 }) : undefined;
+    const model = tf.sequential();
+
+    model.add(tf.layers.dense({
+        inputShape: [inputLength],
+        units: layers[0],
+        activation: 'relu',
+        kernelInitializer: 'glorotUniform',
+        kernelRegularizer
+    }));
+
+    model.add(tf.layers.dropout({ rate: dropout[0] }));
+    model.add(tf.layers.batchNormalization());
+
+    model.add(tf.layers.dense({
+        units: layers[1],
+        activation: 'relu',
+        kernelRegularizer
+    }));
+
+    model.add(tf.layers.dropout({ rate: dropout[1] }));
+
+    model.add(tf.layers.dense({
+        units: 80,
+        activation: 'sigmoid' // probability for each number
+    }));
+
+    model.compile({
+        optimizer: createOptimizer(hyperparameters.optimizer, { learningRate: hyperparameters.learningRate }),
+        loss: 'binaryCrossentropy'
+    });
+
+    return model;
+}
+
+// FOR MODEL D
+
+// === Model D: Sequence model over multi-hot draw windows ===
+
+// Each example is the windowSize games before a game, oldest first, as 80-number indicator vectors,
+// labelled with the indicators of that game. Examples are most recent first like the data.
+// Selected features follow each step's indicators, as they stood once that step's game was drawn.
+function preprocessSequenceData(data, windowSize = MODEL_D_HYPERPARAMETERS.windowSize, featureNames = MODEL_D_HYPERPARAMETERS.features) {
+    const count = Math.max(0, data.length - windowSize);
+    const features = buildNumberFeatures(data, featureNames);
+    const channels = 80 * (1 + features.size);
+    // Filled directly rather than through nested arrays, which would need many times the memory on long histories
+    const inputs = new Float32Array(count * windowSize * channels);
+    const labels = new Float32Array(count * 80);
+
+    for (let example = 0; example < count; example++) {
+        const i = example + 1;
+        for (let step = 0; step < windowSize; step++) {
+            const position = i + windowSize - 1 - step;
+            const offset = (example * windowSize + step) * channels;
+            data[position].numbers.forEach(n => {
+                inputs[offset + n - 1] = 1;
+            });
+            if (features.size > 0) inputs.set(featuresBefore(features, position - 1), offset + 80);
+        }
+        data[i - 1].numbers.forEach(n => {
+            labels[example * 80 + n - 1] = 1;
+        });
+    }
+
+    return {
+        inputs: tf.tensor3d(inputs, [count, windowSize, channels]),
+        labels: tf.tensor2d(labels, [count, 80])
+    };
+}
+
+function createSequenceModel(windowSize, hyperparameters = MODEL_D_HYPERPARAMETERS, channels = 80) {
+    const { layers, dropout, l2 } = hyperparameters;
+    const kernelRegularizer = l2 > 0 ? tf.regularizers.l2({ l2 }) : undefined;
+
+    const model = tf.sequential({
+        layers: [
+            tf.layers.lstm({
+                units: layers[0],
+                inputShape: [windowSize, channels],
+                kernelRegularizer
+            }),
+            tf.layers.dropout({ rate: dropout[0] }),
+            tf.layers.dense({
+                units: layers[1],
+                activation: 'relu',
+                kernelRegularizer
+            }),
+            tf.layers.dropout({ rate: dropout[1] }),
+            tf.layers.dense({
+                units: 80,
+                activation: 'sigmoid' // probability for each number
+            })
+        ]
+    });
+
+    model.compile({
+        optimizer: createOptimizer(hyperparameters.optimizer, { learningRate: hyperparameters.learningRate }),
+        loss: 'binaryCrossentropy'
+    });
+
+    return model;
+}
+
+// Probabilities (length 80) for the game after the most recent window
+async function predictSequenceScores(model, data, featureNames = MODEL_D_HYPERPARAMETERS.features) {
+    const windowSize = model.inputs[0].shape[1];
+    const channels = model.inputs[0].shape[2];
+    const window = new Float32Array(windowSize * channels);
+    const features = buildNumberFeatures(data, featureNames);
+    data.slice(0, windowSize).reverse().forEach((game, step) => {
+        game.numbers.forEach(n => {
+            window[step * channels + n - 1] = 1;
+        });
+        // Features as they stood once this game was drawn, i.e. those of the game after it
+        const position = windowSize - 1 - step;
+        if (features.size > 0) window.set(featuresBefore(features, position - 1), step * channels + 80);
+    });
+
+    const inputTensor = tf.tensor3d(window, [1, windowSize, channels]);
+    const prediction = model.predict(inputTensor);
+    const predictionArray = await prediction.array();
+    inputTensor.dispose();
+    prediction.dispose();
+    return predictionArray[0];
+}
+
+// The spotCount most probable numbers as a ticket, sorted. Each number appears once however close the scores are.
+function decodeTicket(probabilities, spotCount) {
+    return probabilities
+        .map((p, index) => ({ number: index + 1, p }))
+        .sort((a, b) => b.p - a.p || a.number - b.number)
+        .slice(0, spotCount)
+        .map(pick => pick.number)
+        .sort((a, b) => a - b);
+}
+
+// FOR HYBRID COMBO RANKER
+
+// === Uses a probability model (Model C or D) ===
+
+// Rank the combinations drawn most often in the last windowSize games by frequency, recency and the summed
+// probabilities of their numbers. Only the RANKER_POOL_SIZE most frequent combinations of each size are ranked.
+const RANKER_POOL_SIZE = 100;
+
+function buildHybridComboRanker(data, modelCProbabilities, comboSizes = [3, 4, 5], windowSize = 500) {
+    const recentData = data.slice(0, windowSize);
+    // Recent games get a bit more weight
+    const gameWeights = recentData.map((game, index) => (windowSize - index) / windowSize);
+    const mined = mineCombinations(recentData, { sizes: comboSizes, topK: RANKER_POOL_SIZE, gameWeights });
+
+    // Group by size
+    const grouped = {};
+    comboSizes.forEach(size => {
+        grouped[size] = mined[size].combos
+            .map(({ numbers, count, weight }) => {
+                // Add hot number boost (Model C probabilities)
+                const hotBoost = numbers.reduce((sum, num) => sum + (modelCProbabilities[num - 1] || 0), 0);
+                return {
+                    combo: numbers,
+                    frequency: count,
+                    recentBoost: weight,
+                    hotBoost,
+                    score: (count * 0.4) + (weight * 0.3) + (hotBoost * 0.3)
+                };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10); // top 10 combos per size
+    });
+
+    return grouped;
+}
+
+async function predictModelCHotScores(model, data, featureNames = MODEL_C_HYPERPARAMETERS.features) {
+    const recentGames = data.slice(0, modelWindowSize(model, featureNames.length));
+    const input = recentGames.flatMap(g => g.numbers.map(n => n / 80));
+    input.push(...featuresBefore(buildNumberFeatures(data, featureNames, true), -1));
+    const inputTensor = tf.tensor2d([input]);
+    const prediction = model.predict(inputTensor);
+    const predictionArray = await prediction.array();
+    inputTensor.dispose();
+    prediction.dispose();
+    return predictionArray[0]; // length 80: probabilities for numbers 1-80
+}
+
+// Models that give a probability for each of the 80 numbers, and so can feed the Hybrid Combo Ranker:
+// how each prepares its tensors, builds its network and predicts from the latest draws
+const PROBABILITY_MODELS = {
+    modelC: {
+        hyperparameters: MODEL_C_HYPERPARAMETERS,
+        prepare: (draws, hyperparameters) =>
+            preprocessBinaryClassificationData(draws, hyperparameters.windowSize, hyperparameters.features),
+        build: (inputs, hyperparameters) => createBinaryClassifierModel(inputs.shape[1], hyperparameters),
+        predict: (model, draws, featureNames) => predictModelCHotScores(model, draws, featureNames)
+    },
+    modelD: {
+        hyperparameters: MODEL_D_HYPERPARAMETERS,
+        prepare: (draws, hyperparameters) => preprocessSequenceData(draws, hyperparameters.windowSize, hyperparameters.features),
+        build: (inputs, hyperparameters) => createSequenceModel(inputs.shape[1], hyperparameters, inputs.shape[2]),
+        predict: (model, draws, featureNames) => predictSequenceScores(model, draws, featureNames)
+    }
+};
+
+// Combo ranker settings for a probability source: that model's defaults plus the combo settings
+function comboRankerHyperparameters(source = COMBO_RANKER_HYPERPARAMETERS.source) {
+    const { comboSizes, comboWindow } = COMBO_RANKER_HYPERPARAMETERS;
+    return { ...PROBABILITY_MODELS[source].hyperparameters, source, comboSizes: [...comboSizes], comboWindow };
+}
+
+// Games per input window of a Model B or C style network (20 inputs per game, then 80 per selected feature),
+// so saved models trained with a different window size still predict from the right number of games
+function modelWindowSize(model, featureCount = 0) {
+    return (model.inputs[0].shape[1] - 80 * featureCount) / 20;
+}
+
+// How each model type prepares its tensors and builds its network
+const MODEL_TRAINERS = {
+    modelA: {
+        hyperparameters: MODEL_A_HYPERPARAMETERS,
+        prepare: (draws, hyperparameters) => preprocessData(draws, hyperparameters.features),
+        build: (inputs, hyperparameters) => createModelA(inputs.shape[1], hyperparameters)
+    },
+    modelB: {
+        hyperparameters: MODEL_B_HYPERPARAMETERS,
+        prepare: (draws, hyperparameters) => preprocessDataModel2(draws, hyperparameters.windowSize, hyperparameters.features),
+        build: (inputs, hyperparameters) => createModelB(inputs.shape[1], hyperparameters)
+    },
+    modelC: PROBABILITY_MODELS.modelC,
+    modelD: PROBABILITY_MODELS.modelD,
+    // The ranker's network is its probability source's
+    comboRanker: {
+        hyperparameters: comboRankerHyperparameters(),
+        prepare: (draws, hyperparameters) => PROBABILITY_MODELS[hyperparameters.source].prepare(draws, hyperparameters),
+        build: (inputs, hyperparameters) => PROBABILITY_MODELS[hyperparameters.source].build(inputs, hyperparameters)
+    }
+};
+
+// Per-number scores from a trained model for the next game (first) and for each of the `games` most recent
+// games, each predicted from the games before it. Probability models give their 80 probabilities; Models A
+// and B give how many of their 20 outputs round to each number.
+async function modelScoresForGames(model, type, draws, hyperparameters, games) {
+    // The window the network was built with, which older saved models don't record
+    const inputShape = model.inputs[0].shape;
+    const windowSize = inputShape.length === 3 ? inputShape[1] : modelWindowSize(model, hyperparameters.features.length);
+
+    // Only the scored games, their windows and the history their features look back over are prepared
+    const recentDraws = draws.slice(0, games + windowSize + featureLookback(hyperparameters.features));
+
+    // A placeholder newest game makes the first example the upcoming game; its label is never used
+    const placeholder = { date: null, gameNumber: null, numbers: recentDraws[0].numbers };
+    const { inputs, labels } = MODEL_TRAINERS[type].prepare([placeholder, ...recentDraws], { ...hyperparameters, windowSize });
+    labels.dispose();
+    const recent = inputs.slice(0, games + 1);
+    inputs.dispose();
+
+    const output = model.predict(recent);
+    const rows = await output.array();
+    recent.dispose();
+    output.dispose();
+    if (rows[0].length === 80) return rows;
+
+    return rows.map(row => {
+        const votes = new Array(80).fill(0);
+        row.forEach(value => {
+            votes[Math.max(1, Math.min(80, Math.round(value * 80))) - 1]++;
+        });
+        return votes;
+    });
+}
+
+// FOR EVALUATION
+
+// Split preprocessed examples (most recent first) by time into three slices: the most recent holdoutGames
+// examples are held out for the final evaluation, the same number just older than them validate each epoch
+// for early stopping, and everything older is trained on. No slice sees a game earlier than one the model
+// learned from, and the held-out games never influence training. At most a fifth of the examples go to each
+// of the held-out and validation slices when there is little history. Disposes the unsplit tensors.
+function chronologicalSplit(inputs, labels, holdoutGames = TRAINING_DEFAULTS.holdoutGames) {
+    const total = inputs.shape[0];
+    const holdout = Math.max(1, Math.min(holdoutGames, Math.floor(total / 5)));
+    const validation = holdout;
+
+    const split = {
+        holdout,
+        validation,
+        holdoutInputs: inputs.slice(0, holdout),
+        holdoutLabels: labels.slice(0, holdout),
+        valInputs: inputs.slice(holdout, validation),
+        valLabels: labels.slice(holdout, validation),
+        trainInputs: inputs.slice(holdout + validation),
+        trainLabels: labels.slice(holdout + validation)
+    };
+    inputs.dispose();
+    labels.dispose();
+    return split;
+}
+
+// Options for model.fit on a chronological split. Shuffling only reorders the training batches,
+// which all come before the validation and held-out games. Early stopping sets model.stopTraining, the same
+// flag a Stop button uses, and records the epoch it stopped after in options.stoppedEarly. The weights of the
+// epoch with the lowest validation loss are kept and restored when fitting ends, with that epoch (counted
+// from 1) in options.bestEpoch.
+function fitOptions(model, split, hyperparameters, callbacks = {}) {
+    let bestValLoss = Infinity;
+    let bestWeights = null;
+    let epochsWithoutImprovement = 0;
+
+    const options = {
+        epochs: hyperparameters.epochs,
+        batchSize: hyperparameters.batchSize,
+        validationData: [split.valInputs, split.valLabels],
+        shuffle: true,
+        stoppedEarly: null,
+        bestEpoch: null,
+        callbacks: {
+            ...callbacks,
+            onEpochEnd: async (epoch, logs) => {
+                // An epoch cut short by model.stopTraining ends without a validation loss
+                if (logs.val_loss !== undefined) {
+                    if (logs.val_loss < bestValLoss) {
+                        bestValLoss = logs.val_loss;
+                        epochsWithoutImprovement = 0;
+                        if (bestWeights) bestWeights.forEach(tensor => tensor.dispose());
+                        bestWeights = model.getWeights().map(tensor => tensor.clone());
+                        options.bestEpoch = epoch + 1;
+                    } else if (++epochsWithoutImprovement >= hyperparameters.patience && hyperparameters.patience > 0) {
+                        model.stopTraining = true;
+                        options.stoppedEarly = epoch + 1;
+                    }
+                }
+                if (callbacks.onEpochEnd) await callbacks.onEpochEnd(epoch, logs);
+            },
+            onTrainEnd: async logs => {
+                if (bestWeights) {
+                    model.setWeights(bestWeights);
+                    bestWeights.forEach(tensor => tensor.dispose());
+                    bestWeights = null;
+                }
+                if (callbacks.onTrainEnd) await callbacks.onTrainEnd(logs);
+            }
+        }
+    };
+    return options;
+}
+
+// Predict every held-out game and score the predictions (evaluation.js). 80-output models give a probability
+// per number; the 20-output models give a predicted game of numbers scaled to [0, 1].
+async function evaluateOnHoldout(model, split) {
+    const prediction = model.predict(split.holdoutInputs);
+    const predicted = await prediction.array();
+    const labels = await split.holdoutLabels.array();
+    prediction.dispose();
+
+    if (prediction.shape[1] === 80) {
+        const draws = labels.map(label => label.flatMap((drawn, index) => drawn ? [index + 1] : []));
+        return evaluateProbabilities(predicted, draws);
+    }
+
+    const toNumbers = row => row.map(n => Math.max(1, Math.min(80, Math.round(n * 80))));
+    return evaluateNumberPredictions(predicted.map(toNumbers), labels.map(toNumbers));
+}
+
+function disposeSplit(split) {
+    [split.trainInputs, split.trainLabels, split.valInputs, split.valLabels, split.holdoutInputs, split.holdoutLabels]
+        .forEach(tensor => tensor.dispose());
+}
+
+// Every metric recorded during fitting, at the epoch whose weights the model kept (bestEpoch from fitOptions,
+// counted from 1) or else the last epoch
+function finalMetrics(history, bestEpoch = null) {
+    const index = bestEpoch ? history.epoch.indexOf(bestEpoch - 1) : history.epoch.length - 1;
+    const metrics = {};
+    Object.entries(history.history).forEach(([name, values]) => {
+        metrics[name] = values[index];
+    });
+    if (bestEpoch) metrics.best_epoch = bestEpoch;
+    return metrics;
+}
+
+// Node (train.js) loads this file with require
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAINING_DEFAULTS,
+        OPTIMIZER_TYPES,
+        MODEL_A_HYPERPARAMETERS,
+        MODEL_B_HYPERPARAMETERS,
+        MODEL_C_HYPERPARAMETERS,
+        MODEL_D_HYPERPARAMETERS,
+        COMBO_RANKER_HYPERPARAMETERS,
+        preprocessData,
+        createOptimizer,
+        createModelA,
+        preprocessDataModel2,
+        createModelB,
+        preprocessBinaryClassificationData,
+        createBinaryClassifierModel,
+        preprocessSequenceData,
+        createSequenceModel,
+        predictSequenceScores,
+        decodeTicket,
+        buildHybridComboRanker,
+        predictModelCHotScores,
+        PROBABILITY_MODELS,
+        comboRankerHyperparameters,
+        modelWindowSize,
+        MODEL_TRAINERS,
+        modelScoresForGames,
+        chronologicalSplit,
+        fitOptions,
+        evaluateOnHoldout,
+        disposeSplit,
+        finalMetrics
+    };
+}
@@ -0,0 +1,348 @@
+// Expected value and risk figures for the games in data/payoutData.json.
+// Payouts in the data file are for a bet of `denominations.dollar`, and scale linearly with the bet
+// (payout * betAmount / dollar), the same way calculatePotentialPayouts scales them.
+// Nothing in this file touches the DOM.
+
+// Rule types a game can declare under "rules" in data/payoutData.json. A game without rules is a spot game.
+//   spot:         the player marks spotCount numbers and is paid on how many of them are drawn
+//   allOrNothing: a spot game that only pays when every marked number is drawn
+//   catchZero:    a spot game that also pays when none of the marked numbers are drawn
+//   halfBoard:    the player takes a whole half of the board (rules.numbers, normally 40) and is paid on
+//                 how many of the 20 drawn numbers land in it; the payout keys count drawn numbers, not spots
+const gameRuleDescriptions = {
+    spot: 'Pays on how many of your spots are drawn.',
+    allOrNothing: 'Pays only when every one of your spots is drawn.',
+    catchZero: 'Pays on how many of your spots are drawn, including when none of them are.',
+    halfBoard: 'Pick the top, bottom, left or right half of the board. Pays on how many of the 20 drawn numbers land in your half.'
+};
+
+function gameRules(gameData) {
+    return { type: 'spot', ...(gameData.rules || {}) };
+}
+
+// Label for a spot count key under a game's rules
+function spotLabel(gameData, spotCount) {
+    const rules = gameRules(gameData);
+    if (rules.type === 'halfBoard') return `Half Board (${rules.numbers || 40} numbers)`;
+    return `${spotCount} Spot`;
+}
+
+// Whether an outcome is paid under the game's rules, whatever the payout table lists
+function isPayableOutcome(rules, matches, spots) {
+    if (rules.type === 'allOrNothing') return matches === spots;
+    if (rules.type === 'spot') return matches > 0;
+    return true;
+}
+
+// Every possible match count for a spot count with its probability and base payout
+function outcomeDistribution(gameData, spotCount) {
+    const rules = gameRules(gameData);
+    const spots = parseInt(spotCount, 10);
+    const payouts = gameData.payouts[spotCount] || {};
+    const outcomes = [];
+
+    if (rules.type === 'halfBoard') {
+        const sectionSize = rules.numbers || 40;
+        for (let matches = 0; matches <= 20; matches++) {
+            outcomes.push({
+                matches,
+                probability: probabilityInSection(matches, sectionSize),
+                payout: payouts[matches] || 0
+            });
+        }
+        return outcomes;
+    }
+
+    for (let matches = 0; matches <= Math.min(spots, 20); matches++) {
+        outcomes.push({
+            matches,
+            probability: probabilityOfHitting(matches, spots),
+            payout: isPayableOutcome(rules, matches, spots) ? payouts[matches] || 0 : 0
+        });
+    }
+    return outcomes;
+}
+
+// Paying outcomes only, best catch first, for the calculator and payout tables
+function payingOutcomes(gameData, spotCount) {
+    return outcomeDistribution(gameData, spotCount)
+        .filter(outcome => outcome.payout > 0)
+        .reverse();
+}
+
+// Expected return, house edge, hit frequency and variance per $1 wagered on one game
+function betStatistics(gameData, spotCount) {
+    const dollar = gameData.denominations.dollar;
+    let expectedReturn = 0;
+    let secondMoment = 0;
+    let hitFrequency = 0;
+
+    outcomeDistribution(gameData, spotCount).forEach(({ probability, payout }) => {
+        const returnPerDollar = payout / dollar;
+        expectedReturn += probability * returnPerDollar;
+        secondMoment += probability * returnPerDollar * returnPerDollar;
+        if (payout > 0) hitFrequency += probability;
+    });
+
+    const variance = secondMoment - expectedReturn * expectedReturn;
+    return {
+        expectedReturn,
+        houseEdge: 1 - expectedReturn,
+        hitFrequency,
+        variance,
+        standardDeviation: Math.sqrt(Math.max(0, variance))
+    };
+}
+
+// betStatistics for every game type and spot count in the payout data
+function allBetStatistics(payoutData) {
+    const rows = [];
+    Object.keys(payoutData).forEach(game => {
+        Object.keys(payoutData[game].payouts).forEach(spotCount => {
+            rows.push({
+                game,
+                spotCount: parseInt(spotCount, 10),
+                spotLabel: spotLabel(payoutData[game], spotCount),
+                ...betStatistics(payoutData[game], spotCount)
+            });
+        });
+    });
+    return rows;
+}
+
+// Monte Carlo simulation of playing sessions: the same ticket for numGames games starting from a bankroll.
+// A session is ruined when the balance can no longer cover the next bet. The seed makes runs reproducible.
+function simulateSessions(gameData, spotCount, options) {
+    const { betAmount, numGames, bankroll, sessions = 5000, seed = 1 } = options;
+    const random = createSeededRandom(seed);
+    const scale = betAmount / gameData.denominations.dollar;
+
+    // Cumulative outcome probabilities for sampling a game's match count
+    const outcomes = outcomeDistribution(gameData, spotCount);
+    const cumulative = [];
+    let running = 0;
+    outcomes.forEach(({ probability }) => {
+        running += probability;
+        cumulative.push(running);
+    });
+
+    const endingBalances = new Float64Array(sessions);
+    const drawdowns = new Float64Array(sessions);
+    const ruinedByGame = new Array(numGames + 1).fill(0);
+    let ruinedCount = 0;
+    let aheadCount = 0;
+
+    for (let session = 0; session < sessions; session++) {
+        let balance = bankroll;
+        let peak = bankroll;
+        let maxDrawdown = 0;
+
+        for (let game = 0; game < numGames; game++) {
+            if (balance < betAmount) {
+                ruinedCount++;
+                ruinedByGame[game]++;
+                break;
+            }
+
+            balance -= betAmount;
+            const u = random() * running;
+            let index = 0;
+            while (index < cumulative.length - 1 && u >= cumulative[index]) index++;
+            balance += outcomes[index].payout * scale;
+
+            peak = Math.max(peak, balance);
+            maxDrawdown = Math.max(maxDrawdown, peak - balance);
+        }
+
+        endingBalances[session] = balance;
+        drawdowns[session] = maxDrawdown;
+        if (balance > bankroll) aheadCount++;
+    }
+
+    // Share of sessions ruined by each game number
+    const riskOfRuinByGame = [];
+    let ruinedSoFar = 0;
+    ruinedByGame.forEach(count => {
+        ruinedSoFar += count;
+        riskOfRuinByGame.push(ruinedSoFar / sessions);
+    });
+
+    const sortedEndings = Array.from(endingBalances).sort((a, b) => a - b);
+    const sortedDrawdowns = Array.from(drawdowns).sort((a, b) => a - b);
+
+    return {
+        sessions,
+        endingBalances: sortedEndings,
+        drawdowns: sortedDrawdowns,
+        meanEndingBalance: sortedEndings.reduce((sum, value) => sum + value, 0) / sessions,
+        medianEndingBalance: percentile(sortedEndings, 50),
+        probabilityAhead: aheadCount / sessions,
+        riskOfRuin: ruinedCount / sessions,
+        riskOfRuinByGame,
+        medianDrawdown: percentile(sortedDrawdowns, 50)
+    };
+}
+
+// Numbers in a half of the 8 x 10 keno board: top (1-40), bottom (41-80), left (columns 1-5) or right (columns 6-10)
+function halfBoardNumbers(half) {
+    const numbers = [];
+    for (let num = 1; num <= 80; num++) {
+        const column = (num - 1) % 10;
+        if ((half === 'top' && num <= 40) ||
+            (half === 'bottom' && num > 40) ||
+            (half === 'left' && column < 5) ||
+            (half === 'right' && column >= 5)) {
+            numbers.push(num);
+        }
+    }
+    return numbers;
+}
+
+// Replay a ticket against past draws (oldest first), paying each game from the payout table.
+// Returns the per-game log with the running net profit/loss and the ticket's totals.
+function replayTicket(draws, ticketNumbers, gameData, spotCount, betAmount) {
+    const scale = betAmount / gameData.denominations.dollar;
+    const payoutByMatches = {};
+    outcomeDistribution(gameData, spotCount).forEach(({ matches, payout }) => {
+        payoutByMatches[matches] = payout * scale;
+    });
+
+    const ticket = new Set(ticketNumbers);
+    const hitCounts = {};
+    let totalWon = 0;
+    let net = 0;
+    let biggestWin = null;
+
+    const games = draws.map(draw => {
+        const matches = draw.numbers.filter(num => ticket.has(num)).length;
+        const payout = payoutByMatches[matches] || 0;
+        hitCounts[matches] = (hitCounts[matches] || 0) + 1;
+        totalWon += payout;
+        net += payout - betAmount;
+
+        const game = { date: draw.date, gameNumber: draw.gameNumber, matches, payout, net };
+        if (payout > 0 && (!biggestWin || payout > biggestWin.payout)) biggestWin = game;
+        return game;
+    });
+
+    return {
+        games,
+        totalWagered: betAmount * draws.length,
+        totalWon,
+        net,
+        biggestWin,
+        hitCounts
+    };
+}
+
+// Check a saved ticket against the draws (oldest first). The ticket plays `games` consecutive draws starting at its
+// start game number; when a start date is given the game must be on that day, or be one of today's undated games
+// if no dated game matches. If the game number appears more than once the most recent match is used.
+function checkSavedTicket(ticket, draws, gameData) {
+    const startDay = parseDrawDate(ticket.startDate);
+    let startIndex = -1;
+    let undatedIndex = -1;
+    draws.forEach((draw, index) => {
+        if (draw.gameNumber !== ticket.startGame) return;
+        if (startDay === null || (draw.date && parseDrawDate(draw.date) === startDay)) {
+            startIndex = index;
+        } else if (!draw.date) {
+            undatedIndex = index;
+        }
+    });
+    if (startIndex === -1) startIndex = undatedIndex;
+
+    const played = startIndex === -1 ? [] : draws.slice(startIndex, startIndex + ticket.games);
+    return {
+        started: startIndex !== -1,
+        replay: replayTicket(played, ticket.numbers, gameData, ticket.spotCount, ticket.betAmount),
+        gamesPlayed: played.length,
+        remainingGames: ticket.games - played.length
+    };
+}
+
+// Profit/loss analytics for the play ledger. Each entry records { date, game, spotCount, betAmount, draws, payout }.
+// The theoretical return for a game type is betStatistics' expected return, weighted by what was wagered on each spot count.
+function summarizeLedger(entries, payoutData) {
+    const sorted = entries.slice().sort((a, b) => parseDrawDate(a.date) - parseDrawDate(b.date) || a.id - b.id);
+    const monthly = new Map();
+    const byGame = new Map();
+    const balance = [];
+    let running = 0;
+    let streak = 0;
+    let longestLosingStreak = { length: 0, from: null, to: null };
+    let streakStart = null;
+
+    sorted.forEach(entry => {
+        const wagered = entry.betAmount * entry.draws;
+        const net = entry.payout - wagered;
+
+        const month = entry.date.slice(0, 7);
+        if (!monthly.has(month)) monthly.set(month, { month, wagered: 0, won: 0, net: 0 });
+        const monthTotals = monthly.get(month);
+        monthTotals.wagered += wagered;
+        monthTotals.won += entry.payout;
+        monthTotals.net += net;
+
+        if (!byGame.has(entry.game)) byGame.set(entry.game, { game: entry.game, wagered: 0, won: 0, expectedWon: 0 });
+        const gameTotals = byGame.get(entry.game);
+        gameTotals.wagered += wagered;
+        gameTotals.won += entry.payout;
+        if (payoutData && payoutData[entry.game] && payoutData[entry.game].payouts[entry.spotCount]) {
+            gameTotals.expectedWon += wagered * betStatistics(payoutData[entry.game], entry.spotCount).expectedReturn;
+        }
+
+        // A losing entry is one that paid back less than it cost
+        if (net < 0) {
+            if (streak === 0) streakStart = entry.date;
+            streak++;
+            if (streak > longestLosingStreak.length) {
+                longestLosingStreak = { length: streak, from: streakStart, to: entry.date };
+            }
+        } else {
+            streak = 0;
+        }
+
+        running += net;
+        balance.push({ date: entry.date, balance: running });
+    });
+
+    const totalWagered = sorted.reduce((sum, entry) => sum + entry.betAmount * entry.draws, 0);
+    const totalWon = sorted.reduce((sum, entry) => sum + entry.payout, 0);
+
+    return {
+        totalWagered,
+        totalWon,
+        net: totalWon - totalWagered,
+        roi: totalWagered > 0 ? (totalWon - totalWagered) / totalWagered : 0,
+        monthly: Array.from(monthly.values()),
+        byGame: Array.from(byGame.values()).map(game => ({
+            ...game,
+            roi: game.wagered > 0 ? (game.won - game.wagered) / game.wagered : 0,
+            returnToPlayer: game.wagered > 0 ? game.won / game.wagered : 0,
+            theoreticalReturn: game.wagered > 0 ? game.expectedWon / game.wagered : 0
+        })),
+        longestLosingStreak,
+        balance
+    };
+}
+
+// Node (the tests) loads this file with require, after setting the statistics.js and analysisEngine.js helpers
+// it uses as globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        gameRuleDescriptions,
+        gameRules,
+        spotLabel,
+        isPayableOutcome,
+        outcomeDistribution,
+        payingOutcomes,
+        betStatistics,
+        allBetStatistics,
+        simulateSessions,
+        halfBoardNumbers,
+        replayTicket,
+        checkSavedTicket,
+        summarizeLedger
+    };
+}
@@ -6,7 +6,6 @@ async function loadToggleState(location) {
         `${location}-combination-table`,
         `${location}-predictions-table`,
         `${location}-cooccurrence-table`,
-        `${location}-cooccurrence-table-all-data`,
         `${location}-streaks-table`,
         `${location}-model-training`,
         `${location}-model-prediction`
@@ -14,7 +13,8 @@ async function loadToggleState(location) {
 
     divs.forEach(divId => {
         const element = document.getElementById(divId);
-        if (element) {
+        // showScreen runs this on every visit, so only wrap elements that aren't wrapped yet
+        if (element && !element.parentNode.classList.contains('toggle-wrapper')) {
             // Create a wrapper for the toggle state
             const wrapper = document.createElement('div');
             wrapper.className = 'toggle-wrapper';
@@ -44,20 +44,21 @@ async function loadToggleState(location) {
     });
 }
 
-document.addEventListener("DOMContentLoaded", () => {
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add("fly-in");
-                observer.unobserve(entry.target); // Optional: Stop observing once animated
-            }
-        });
-    }, {
-        threshold: 0.1
+const flyInObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            entry.target.classList.add("fly-in");
+            flyInObserver.unobserve(entry.target); // Optional: Stop observing once animated
+        }
     });
+}, {
+    threshold: 0.1
+});
 
+document.addEventListener("DOMContentLoaded", () => {
+    // Community screens are generated later and observe themselves when created
     document.querySelectorAll(".screen").forEach(div => {
-        observer.observe(div);
+        flyInObserver.observe(div);
     });
 });
 
@@ -84,22 +85,24 @@ async function showScreen(screenId) {
         return;
     }
 
-    // Call displayData based on the selected screen dynamically
-    displayData(locationsData[screenId], screenId);
-    console.log(locationsData[screenId + 'Counts']);
-    displayCombinationAnalysis(screenId);
-    displayPredictions(screenId);
-    displayStreaks(screenId);
-    displayCoOccurrence(screenId);
+    if(screenId === 'your-ticket') {
+        await initializeTicketForm();
+        return;
+    }
+
+    if(screenId === 'ledger') {
+        await showLedger();
+        return;
+    }
 
-    // Display all data statistics
-    displayAllDataCoOccurences(screenId);
+    if (!locationsData[screenId]) return;
 
+    // Run every analysis for the location's selected draw window
+    runLocationAnalysis(screenId);
+    refreshModelRegistry(screenId);
 
     // Update the toggle states
     await loadToggleState(screenId);
-    // Update the chart with the new location data
-    updateChart(screenId);
 }
 
 const kenoGameNames = {
@@ -127,6 +130,7 @@ function calculatePayouts(kenoGameType) {
     modalTitle.textContent = `Calculate Payouts - ${kenoGameNames[kenoGameType]}`;
     payoutCalculator.style.display = 'block';
     picksGenerator.style.display = 'none';
+    document.getElementById('wheel-generator').style.display = 'none';
 
     // Populate spot count dropdown based on game type
     const spotSelect = document.getElementById('spot-count');
@@ -137,7 +141,7 @@ function calculatePayouts(kenoGameType) {
         Object.keys(data[kenoGameType].payouts).forEach(spot => {
             const option = document.createElement('option');
             option.value = spot;
-            option.textContent = `${spot} Spot`;
+            option.textContent = spotLabel(currentPayoutData, spot);
             spotSelect.appendChild(option);
         });
     });
@@ -156,21 +160,19 @@ function calculatePotentialPayouts() {
         return;
     }
 
-    const payouts = currentPayoutData.payouts[spotCount];
-    let resultsHTML = '<div>Potential Payouts: \n\n</div>';
-    resultsHTML.className = 'payout-results';
+    let resultsHTML = `<div>${gameRuleDescriptions[gameRules(currentPayoutData).type]}</div>`;
+    resultsHTML += '<div>Potential Payouts: \n\n</div>';
     // resultsHTML.style.whiteSpace = 'pre';
 
-    Object.entries(payouts).reverse().forEach(([matches, basePayout]) => {
+    // Probabilities come from the game's rules, so half-board and all-or-nothing games are priced correctly
+    payingOutcomes(currentPayoutData, spotCount).forEach(({ matches, probability: singleGameProb, payout: basePayout }) => {
         const payout = basePayout * betAmount / currentPayoutData.denominations.dollar;
         const actualPayout = Number.isInteger(payout) ? payout : payout.toFixed(2);
-        console.log('matches:', matches);
-        console.log('spotCount:', spotCount);
 
-        const singleGameProb = probabilityOfHitting(parseInt(matches), parseInt(spotCount));
         let probOfHitting = 0;
         if (numGames > 1) {
-            const probAtLeastOnce = probabilityAcrossGames(parseInt(matches), parseInt(spotCount), numGames);
+            // Probability of hitting at least once across all games
+            const probAtLeastOnce = 1 - Math.pow(1 - singleGameProb, numGames);
             probOfHitting = probAtLeastOnce < 1e-3 ?
                 probAtLeastOnce.toExponential(2) + "%" :
                 (probAtLeastOnce * 100).toFixed(2) + "%";
@@ -180,56 +182,97 @@ function calculatePotentialPayouts() {
                 (singleGameProb * 100).toFixed(2) + "%";
         }
 
-        console.log(probOfHitting);
         resultsHTML += `<div>Hit ${matches}: $${actualPayout} \tProbability: ${probOfHitting}</div>`;
     });
 
     resultsDiv.innerHTML = resultsHTML;
 }
 
-// function to calculate probability of hitting single game
-function probabilityOfHitting(matches, spotCount) {
-    // Function to calculate combinations (n choose k)
-    function combinations(n, k) {
-        if (k > n) return 0;
-        if (k === 0 || k === n) return 1;
+// Session simulator charts, keyed by canvas id
+const simulatorCharts = {};
 
-        let result = 1;
-        for (let i = 1; i <= k; i++) {
-            result *= (n - i + 1) / i;
-        }
-        return result;
+// Simulate thousands of sessions of the selected ticket and chart the outcomes
+function runSessionSimulator() {
+    const spotCount = document.getElementById('spot-count').value;
+    const betAmount = parseFloat(document.getElementById('bet-amount').value);
+    const numGames = parseInt(document.getElementById('game-amount').value);
+    const bankroll = parseFloat(document.getElementById('sim-bankroll').value);
+    const sessions = parseInt(document.getElementById('sim-sessions').value);
+    const seed = document.getElementById('sim-seed').value || 'keno';
+    const resultsDiv = document.getElementById('simulator-results');
+
+    if (!currentPayoutData || !spotCount) {
+        resultsDiv.innerHTML = 'Payout data is still loading.';
+        return;
+    }
+    if (!betAmount || betAmount < currentPayoutData.denominations.minimumBet && betAmount*numGames < currentPayoutData.denominations.minimumBet) {
+        resultsDiv.innerHTML = `Minimum bet amount is $${currentPayoutData.denominations.minimumBet}`;
+        return;
+    }
+    if (!numGames || numGames < 1 || !bankroll || bankroll < betAmount || !sessions || sessions < 1) {
+        resultsDiv.innerHTML = 'Enter the number of games, a bankroll of at least one bet and the number of sessions.';
+        return;
     }
 
-    // Total numbers in keno game
-    const totalNumbers = 80;
-    // Numbers drawn each round
-    const numbersDrawn = 20;
+    const results = simulateSessions(currentPayoutData, spotCount, { betAmount, numGames, bankroll, sessions, seed });
 
-    // Calculate probability using hypergeometric distribution
-    // P(X = matches) = [C(numbersDrawn, matches) * C(totalNumbers - numbersDrawn, spotCount - matches)] / C(totalNumbers, spotCount)
+    resultsDiv.innerHTML = `
+        <div>Sessions simulated: ${results.sessions} (seed "${seed}")</div>
+        <div>Probability of finishing ahead: ${(results.probabilityAhead * 100).toFixed(2)}%</div>
+        <div>Risk of ruin: ${(results.riskOfRuin * 100).toFixed(2)}%</div>
+        <div>Median ending balance: $${results.medianEndingBalance.toFixed(2)} (mean $${results.meanEndingBalance.toFixed(2)})</div>
+        <div>Median drawdown: $${results.medianDrawdown.toFixed(2)}</div>`;
 
-    const numerator = combinations(numbersDrawn, matches) *
-        combinations(totalNumbers - numbersDrawn, spotCount - matches);
-    const denominator = combinations(totalNumbers, spotCount);
+    const endingHistogram = histogram(results.endingBalances);
+    drawSimulatorChart('sim-ending-chart', 'bar', {
+        labels: endingHistogram.edges.map(edge => `$${edge.toFixed(0)}`),
+        datasets: [{
+            label: 'Sessions',
+            data: endingHistogram.counts,
+            backgroundColor: endingHistogram.edges.map(edge => edge + endingHistogram.width / 2 > bankroll ? 'rgba(75, 192, 92, 0.5)' : 'rgba(255, 99, 132, 0.5)')
+        }]
+    }, 'Ending Balance', 'Balance at End of Session');
 
-    // Handle edge cases
-    if (denominator === 0) return 0;
-    if (matches > spotCount) return 0;
-    if (matches > numbersDrawn) return 0;
-    if (spotCount > totalNumbers) return 0;
+    const drawdownHistogram = histogram(results.drawdowns);
+    drawSimulatorChart('sim-drawdown-chart', 'bar', {
+        labels: drawdownHistogram.edges.map(edge => `$${edge.toFixed(0)}`),
+        datasets: [{
+            label: 'Sessions',
+            data: drawdownHistogram.counts,
+            backgroundColor: 'rgba(54, 162, 235, 0.5)'
+        }]
+    }, `Largest Drawdown (median $${results.medianDrawdown.toFixed(2)})`, 'Peak-to-Trough Loss');
 
-    return numerator / denominator;
+    drawSimulatorChart('sim-ruin-chart', 'line', {
+        labels: results.riskOfRuinByGame.map((_, game) => game),
+        datasets: [{
+            label: 'Risk of Ruin',
+            data: results.riskOfRuinByGame.map(risk => risk * 100),
+            borderColor: 'rgba(154, 61, 61, 1)',
+            pointRadius: 0
+        }]
+    }, 'Sessions Ruined by Game Number (%)', 'Game');
 }
 
-function probabilityAcrossGames(matches, spotCount, numGames) {
-    const singleGameProb = probabilityOfHitting(matches, spotCount);
+function drawSimulatorChart(canvasId, type, data, title, xTitle) {
+    const ctx = document.getElementById(canvasId).getContext('2d');
+    if (simulatorCharts[canvasId]) simulatorCharts[canvasId].destroy(); // Destroy previous chart
 
-    // Calculate probability of NOT hitting in any game
-    const probNone = Math.pow(1 - singleGameProb, numGames);
-
-    // Return probability of hitting at least once
-    return 1 - probNone;
+    simulatorCharts[canvasId] = new Chart(ctx, {
+        type,
+        data,
+        options: {
+            responsive: true,
+            plugins: {
+                legend: { display: false },
+                title: { display: true, text: title }
+            },
+            scales: {
+                x: { title: { display: true, text: xTitle } },
+                y: { beginAtZero: true }
+            }
+        }
+    });
 }
 
 function generatePicks(kenoGameType) {
@@ -242,23 +285,233 @@ function generatePicks(kenoGameType) {
     modalTitle.textContent = `Generate Picks - ${kenoGameNames[kenoGameType]}`;
     payoutCalculator.style.display = 'none';
     picksGenerator.style.display = 'block';
+    document.getElementById('wheel-generator').style.display = 'none';
+    document.getElementById('picks-results').innerHTML = '';
+
+    // Offer only the spot counts this game pays on
+    const spotSelect = document.getElementById('numbers-to-bet');
+    spotSelect.innerHTML = '';
+    readData('payoutData').then(data => {
+        currentPayoutData = data[kenoGameType];
+        Object.keys(currentPayoutData.payouts).forEach(spot => {
+            const option = document.createElement('option');
+            option.value = spot;
+            option.textContent = spotLabel(currentPayoutData, spot);
+            spotSelect.appendChild(option);
+        });
+    });
+
+    const strategySelect = document.getElementById('picks-strategy');
+    if (strategySelect.options.length === 0) {
+        Object.entries(PICK_STRATEGIES).forEach(([strategy, label]) => {
+            const option = document.createElement('option');
+            option.value = strategy;
+            option.textContent = label;
+            strategySelect.appendChild(option);
+        });
+    }
+
+    const locationSelect = document.getElementById('picks-location');
+    if (locationSelect.options.length === 0) {
+        communities.forEach(community => {
+            const option = document.createElement('option');
+            option.value = community.slug;
+            option.textContent = community.name;
+            locationSelect.appendChild(option);
+        });
+    }
+
+    modal.style.display = 'block';
+}
+
+function showWheelGenerator(kenoGameType) {
+    currentGame = kenoGameType;
+    const modal = document.getElementById('modal');
+
+    document.getElementById('modal-title').textContent = `Build a Wheel - ${kenoGameNames[kenoGameType]}`;
+    document.getElementById('payout-calculator').style.display = 'none';
+    document.getElementById('picks-generator').style.display = 'none';
+    document.getElementById('wheel-generator').style.display = 'block';
+    document.getElementById('wheel-results').innerHTML = '';
+
+    const spotSelect = document.getElementById('wheel-spots');
+    spotSelect.innerHTML = '';
+    readData('payoutData').then(data => {
+        currentPayoutData = data[kenoGameType];
+        document.getElementById('wheel-bet').value = currentPayoutData.denominations.dollar;
+        Object.keys(currentPayoutData.payouts).forEach(spot => {
+            const option = document.createElement('option');
+            option.value = spot;
+            option.textContent = spotLabel(currentPayoutData, spot);
+            spotSelect.appendChild(option);
+        });
+    });
 
     modal.style.display = 'block';
 }
 
+// Wheels are built in their own analysis worker (analysisWorker.js): a 20-number pool takes several seconds, which
+// would freeze the page and hold up the community screens' analyses. The build in progress, cancelled by a newer one.
+const wheelJobs = createJobWorker('analysisWorker.js');
+let runningWheel = null;
+
+// Build a "catch t if m are drawn" wheel from the pool and show its cost and payout exposure
+async function buildWheel() {
+    const pool = parseNumberList(document.getElementById('wheel-pool').value);
+    const spotCount = document.getElementById('wheel-spots').value;
+    const guaranteeHits = parseInt(document.getElementById('wheel-guarantee-hits').value, 10);
+    const guaranteeDrawn = parseInt(document.getElementById('wheel-guarantee-drawn').value, 10);
+    const betAmount = parseFloat(document.getElementById('wheel-bet').value);
+    const resultsDiv = document.getElementById('wheel-results');
+
+    if (!currentPayoutData || !spotCount) {
+        resultsDiv.innerHTML = 'Payout data is still loading.';
+        return;
+    }
+    if (gameRules(currentPayoutData).type === 'halfBoard') {
+        resultsDiv.innerHTML = 'Wheels need a game where you pick your own numbers.';
+        return;
+    }
+    if (!betAmount || betAmount < currentPayoutData.denominations.dollar) {
+        resultsDiv.innerHTML = `Minimum bet per ticket is $${currentPayoutData.denominations.dollar}`;
+        return;
+    }
+    if (!Number.isInteger(guaranteeHits) || !Number.isInteger(guaranteeDrawn)) {
+        resultsDiv.innerHTML = 'Enter how many numbers a ticket must catch and how many pool numbers are drawn.';
+        return;
+    }
+
+    if (runningWheel) runningWheel.cancel();
+    const run = wheelJobs.run('wheel', {
+        pool,
+        spots: parseInt(spotCount, 10),
+        guaranteeHits,
+        guaranteeDrawn,
+        gameData: currentPayoutData,
+        betAmount
+    }, {
+        onProgress: ({ tickets }) => {
+            if (runningWheel === run) resultsDiv.innerHTML = `Checking the payouts of ${tickets} tickets over every draw of your pool...`;
+        }
+    });
+    runningWheel = run;
+    resultsDiv.innerHTML = 'Building tickets...';
+
+    let tickets;
+    let exposure;
+    try {
+        ({ tickets, exposure } = await run.promise);
+    } catch (error) {
+        // A newer build cancelled this one and owns the results
+        if (runningWheel === run) {
+            runningWheel = null;
+            resultsDiv.innerHTML = error.message;
+        }
+        return;
+    }
+    if (runningWheel !== run) return;
+    runningWheel = null;
+
+    const totalCost = tickets.length * betAmount;
+    const belowMinimum = betAmount < currentPayoutData.denominations.minimumBet;
+
+    let html = `<h3>${tickets.length} Tickets: catch ${guaranteeHits} if ${guaranteeDrawn} of your ${pool.length} numbers are drawn</h3>`;
+    html += '<div>Greedy wheel (not guaranteed minimal)';
+    if (guaranteeHits === guaranteeDrawn) {
+        html += `: no wheel with this guarantee can have fewer than ${schonheimBound(pool.length, parseInt(spotCount, 10), guaranteeHits)} tickets`;
+    }
+    html += '.</div>';
+    html += `<div>Total cost per game: $${totalCost.toFixed(2)}${belowMinimum ? ` (each ticket must total at least $${currentPayoutData.denominations.minimumBet}, so play several games per ticket)` : ''}</div>`;
+    tickets.forEach((ticket, i) => {
+        html += `<div>Ticket ${i + 1}: ${ticket.join(', ')}</div>`;
+    });
+
+    html += '<h3>Payout Exposure</h3>';
+    html += '<table class="analysis-table"><tr><th>Pool Numbers Drawn</th><th>Chance</th><th>Guaranteed Best Ticket</th><th>Total Payout (min - max)</th><th>Net (min - max)</th></tr>';
+    exposure.forEach(tier => {
+        html += `<tr><td>${tier.drawn}</td><td>${(tier.probability * 100).toFixed(2)}%</td><td>${tier.guaranteedHits} hits</td>` +
+            `<td>$${tier.minPayout.toFixed(2)} - $${tier.maxPayout.toFixed(2)}</td>` +
+            `<td>$${(tier.minPayout - totalCost).toFixed(2)} - $${(tier.maxPayout - totalCost).toFixed(2)}</td></tr>`;
+    });
+    html += '</table>';
+
+    resultsDiv.innerHTML = html;
+}
+
+// Model C probabilities for each location, kept from the last time the model was trained
+const modelCScores = {};
+
+// Parse a comma-separated list of board numbers
+function parseNumberList(text) {
+    return [...new Set(text.split(',').map(num => parseInt(num.trim(), 10)))].filter(num => num >= 1 && num <= 80);
+}
+
 function generateNumberPicks() {
     const numberOfPicks = parseInt(document.getElementById('number-of-picks').value);
+    const spots = parseInt(document.getElementById('numbers-to-bet').value, 10);
+    const strategy = document.getElementById('picks-strategy').value;
+    const location = document.getElementById('picks-location').value;
     const resultsDiv = document.getElementById('picks-results');
 
-    // Example implementation - you'll want to modify this based on your game rules
-    let resultsHTML = '<h3>Generated Picks:</h3>';
+    if (!currentPayoutData || !spots || !numberOfPicks) {
+        resultsDiv.innerHTML = 'Choose how many picks and numbers to bet.';
+        return;
+    }
+
+    const draws = location ? getSelectedDraws(location) : [];
+    if (strategy !== 'random' && draws.length === 0) {
+        resultsDiv.innerHTML = 'No games in the selected community\'s analysis window.';
+        return;
+    }
+    if (strategy === 'modelC' && !modelCScores[location]) {
+        resultsDiv.innerHTML = 'Run Model C on the community\'s screen first to use its probabilities.';
+        return;
+    }
 
-    for (let i = 0; i < numberOfPicks; i++) {
-        const numbers = new Set();
-        while (numbers.size < 20) { // Assuming 20 numbers per pick
-            numbers.add(Math.floor(Math.random() * 80) + 1);
+    // Draw-shape filters against random tickets of the same size (see the Draw Shape panel)
+    const band = parseFloat(document.getElementById('picks-shape-band').value);
+    const shapeMetrics = Array.from(document.querySelectorAll('.picks-shape-metric:checked'), box => box.value);
+    const filters = band ? shapeFilters(shapeMetrics, spots, band) : [];
+
+    let resultsHTML = `<h3>Generated Picks (${PICK_STRATEGIES[strategy]}):</h3>`;
+
+    try {
+        // Half-board games play a whole half, so rank the four halves instead of picking numbers
+        if (gameRules(currentPayoutData).type === 'halfBoard') {
+            const scores = strategyScores(strategy, draws, modelCScores[location]);
+            const halves = ['top', 'bottom', 'left', 'right']
+                .map(half => ({
+                    half,
+                    score: halfBoardNumbers(half).reduce((sum, num) => sum + (isFinite(scores[num]) ? scores[num] : 0), 0) +
+                        (strategy === 'random' ? Math.random() : 0)
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, numberOfPicks);
+            halves.forEach(({ half }, i) => {
+                resultsHTML += `<div>Pick ${i + 1}: ${half.charAt(0).toUpperCase() + half.slice(1)} half</div>`;
+            });
+        } else {
+            const tickets = generateTickets({
+                strategy,
+                draws,
+                spots,
+                count: numberOfPicks,
+                include: parseNumberList(document.getElementById('picks-include').value),
+                exclude: parseNumberList(document.getElementById('picks-exclude').value),
+                spread: document.getElementById('picks-spread').checked,
+                modelScores: modelCScores[location],
+                filters
+            });
+            tickets.forEach((ticket, i) => {
+                resultsHTML += `<div>Pick ${i + 1}: ${ticket.join(', ')}</div>`;
+            });
+            filters.forEach(({ name, low, high }) => {
+                resultsHTML += `<div><small>${DRAW_SHAPE_METRICS[name].label}: ${low} to ${high}</small></div>`;
+            });
         }
-        resultsHTML += `<div>Pick ${i + 1}: ${Array.from(numbers).sort((a, b) => a - b).join(', ')}</div>`;
+    } catch (error) {
+        resultsDiv.innerHTML = error.message;
+        return;
     }
 
     resultsDiv.innerHTML = resultsHTML;
@@ -286,6 +539,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const data = await readData('payoutData');
     const container = document.getElementById('payouts-table');
 
+    displayExpectedValueTable(data);
+
     Object.keys(data).forEach((game, index) => {
         // Create a section for each game type
         const gameSection = document.createElement('section');
@@ -308,6 +563,12 @@ document.addEventListener('DOMContentLoaded', () => {
         denomInfo.appendChild(minimumTicketInfo);
         gameSection.appendChild(denomInfo);
 
+        // Describe how the game pays
+        const rulesInfo = document.createElement('div');
+        rulesInfo.className = 'rules-info';
+        rulesInfo.textContent = gameRuleDescriptions[gameRules(data[game]).type];
+        gameSection.appendChild(rulesInfo);
+
         // add buttons for each game type
         const buttonsDiv = document.createElement('div');
         buttonsDiv.className = 'payout-buttons-div';
@@ -322,8 +583,14 @@ document.addEventListener('DOMContentLoaded', () => {
         generatePicksButton.onclick = () => generatePicks(game);
         generatePicksButton.textContent = 'Generate Picks';
 
+        const wheelButton = document.createElement('button');
+        wheelButton.className = 'button';
+        wheelButton.onclick = () => showWheelGenerator(game);
+        wheelButton.textContent = 'Build Wheel';
+
         buttonsDiv.appendChild(calculatePayoutButton);
         buttonsDiv.appendChild(generatePicksButton);
+        if (gameRules(data[game]).type !== 'halfBoard') buttonsDiv.appendChild(wheelButton);
 
         gameSection.appendChild(buttonsDiv);
 
@@ -335,20 +602,21 @@ document.addEventListener('DOMContentLoaded', () => {
             spotSection.className = 'spot-section';
             const spotHeader = document.createElement('div');
             spotHeader.className = 'spot-header';
-            spotHeader.textContent = `Pick ${spot}`;
+            spotHeader.textContent = gameRules(data[game]).type === 'halfBoard' ? spotLabel(data[game], spot) : `Pick ${spot}`;
             spotSection.appendChild(spotHeader);
 
             let checkedOnce = false;
 
-            Object.entries(data[game].payouts[spot]).reverse().forEach(([matches, payout]) => {
+            payingOutcomes(data[game], spot).forEach(({ matches, payout, probability }) => {
                 const payoutDiv = document.createElement('div');
                 payoutDiv.className = 'payout-entry';
+                const odds = `(1 in ${(1 / probability).toLocaleString(undefined, { maximumFractionDigits: 1 })})`;
                 if(!checkedOnce) {
                     checkedOnce = true;
-                    payoutDiv.textContent = `Hit \t ${matches}: \t $ ${payout || payout.toFixed(2)}`;
+                    payoutDiv.textContent = `Hit \t ${matches}: \t $ ${payout || payout.toFixed(2)} \t ${odds}`;
                     spotSection.appendChild(payoutDiv);
                 } else {
-                    payoutDiv.textContent = `\t ${matches}: \t $ ${payout || payout.toFixed(2)}`;
+                    payoutDiv.textContent = `\t ${matches}: \t $ ${payout || payout.toFixed(2)} \t ${odds}`;
                     spotSection.appendChild(payoutDiv);
                 }
 
@@ -360,6 +628,64 @@ document.addEventListener('DOMContentLoaded', () => {
     });
  }
 
+// Expected value table sort state, kept between clicks on the column headers
+let expectedValueRows = [];
+const expectedValueSort = { key: 'expectedReturn', descending: true };
+
+const expectedValueColumns = [
+    { key: 'game', label: 'Game', format: row => kenoGameNames[row.game] || row.game },
+    { key: 'spotCount', label: 'Spots', format: row => row.spotLabel },
+    { key: 'expectedReturn', label: 'Return per $1', format: row => `$${row.expectedReturn.toFixed(4)}` },
+    { key: 'houseEdge', label: 'House Edge', format: row => `${(row.houseEdge * 100).toFixed(2)}%` },
+    { key: 'hitFrequency', label: 'Hit Frequency', format: row => row.hitFrequency > 0 ? `${(row.hitFrequency * 100).toFixed(2)}% (1 in ${(1 / row.hitFrequency).toFixed(1)})` : '0%' },
+    { key: 'variance', label: 'Variance per $1', format: row => row.variance.toFixed(2) },
+    { key: 'standardDeviation', label: 'Std Dev per $1', format: row => row.standardDeviation.toFixed(2) }
+];
+
+// Sortable expected value / return-to-player table for every game type and spot count
+function displayExpectedValueTable(payoutData) {
+    if (payoutData) expectedValueRows = allBetStatistics(payoutData);
+
+    const container = document.getElementById('expected-value-table');
+    const { key, descending } = expectedValueSort;
+    const rows = expectedValueRows.slice().sort((a, b) => {
+        const order = typeof a[key] === 'string'
+            ? (kenoGameNames[a[key]] || a[key]).localeCompare(kenoGameNames[b[key]] || b[key])
+            : a[key] - b[key];
+        return descending ? -order : order;
+    });
+
+    const table = document.createElement('table');
+    table.className = 'analysis-table sortable-table';
+
+    const headerRow = document.createElement('tr');
+    expectedValueColumns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label + (column.key === key ? (descending ? ' ▼' : ' ▲') : '');
+        th.onclick = () => {
+            expectedValueSort.descending = expectedValueSort.key === column.key ? !expectedValueSort.descending : true;
+            expectedValueSort.key = column.key;
+            displayExpectedValueTable();
+        };
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        expectedValueColumns.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = column.format(row);
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+
+    container.innerHTML = '<div class="panel-header">Expected Value by Game and Spot Count</div>' +
+        '<p>Figures are per $1 wagered on a single game. Click a column to sort.</p>';
+    container.appendChild(table);
+}
+
 // Function to read JSON data of current day keno games from data folder
 async function readData(location) {
     const filePath = `data/${location}.json`;
@@ -377,6 +703,7 @@ async function readData(location) {
     }
 }
 
+// Function to read a location's full history as normalized draws, most recent game first
 async function processKenoData(location) {
     const jsonData = await readData(location);
 
@@ -384,78 +711,114 @@ async function processKenoData(location) {
         console.error("No JSON data to process.");
         return null;
     }
-    // Flatten and reorder the data
-    let flattenedData = [];
-    Object.keys(jsonData).reverse().forEach(date => {
-        const games = jsonData[date];
-        Object.keys(games).forEach(gameNumber => {
-            flattenedData.push({
-                kenoGameNumber: parseInt(gameNumber),
-                kenoGameStats: games[gameNumber]
-            });
-        });
-    });
 
-    // Assign new IDs to ensure duplicate game numbers across dates are treated as separate entries
-    const reformattedData = {};
-    flattenedData.forEach((game, index) => {
-        reformattedData[index + 1] = game.kenoGameStats;
-    });
-
-    return reformattedData;
+    return normalizeHistoryDraws(jsonData);
 }
 
 
 let locationsData = {};
 let allDataFromLocations = {};
+let communities = [];
+// Draw window selected on each community screen (see selectDraws in analysisEngine.js)
+const analysisWindows = {};
+
+// The analyses run in a Web Worker (analysisWorker.js) so the page stays responsive
+const analysisJobs = createJobWorker('analysisWorker.js');
+// Job running for each location and panel, cancelled when the panel is run again
+const runningAnalyses = {};
+
+// Run a job in the analysis worker for one panel of a location, cancelling the panel's previous job. onProgress
+// and onPartial only hear from the latest job. Resolves to the job's result, or null if a newer run cancelled it.
+async function runAnalysisJob(location, panel, job, payload, { onProgress = null, onPartial = null } = {}) {
+    const key = `${location}-${panel}`;
+    if (runningAnalyses[key]) runningAnalyses[key].cancel();
+
+    const isCurrent = () => runningAnalyses[key] === run;
+    const run = analysisJobs.run(job, payload, {
+        onProgress: progress => {
+            if (onProgress && isCurrent()) onProgress(progress);
+        },
+        onPartial: (name, result) => {
+            if (onPartial && isCurrent()) onPartial(name, result);
+        }
+    });
+    runningAnalyses[key] = run;
 
-async function loadData() {
     try {
-        // Load data for all locations and store them in the locationsData object
-        const omahaData = await readData('omaha');
-        const lincolnData = await readData('lincoln');
-        const fremontData = await readData('fremont');
-        const norfolkData = await readData('norfolk');
-        const blairData = await readData('blair');
-        const beatriceData = await readData('beatrice');
-
-        const allOmahaData = await processKenoData('omahaallData');
-        const allLincolnData = await processKenoData('lincolnallData');
-        const allFremontData = await processKenoData('fremontallData');
-        const allNorfolkData = await processKenoData('norfolkallData');
-        const allBlairData = await processKenoData('blairallData');
-        const allBeatriceData = await processKenoData('beatriceallData');
-
-        // Storing the data in locationsData
-        locationsData['omaha'] = omahaData;
-        locationsData['lincoln'] = lincolnData;
-        locationsData['fremont'] = fremontData;
-        locationsData['norfolk'] = norfolkData;
-        locationsData['blair'] = blairData;
-        locationsData['beatrice'] = beatriceData;
-
-        allDataFromLocations['omaha'] = allOmahaData;
-        allDataFromLocations['lincoln'] = allLincolnData;
-        allDataFromLocations['fremont'] = allFremontData;
-        allDataFromLocations['norfolk'] = allNorfolkData;
-        allDataFromLocations['blair'] = allBlairData;
-        allDataFromLocations['beatrice'] = allBeatriceData
-
-        // Counting each instance of picked numbers at each location and storing them in counts object
-        Object.keys(locationsData).forEach(location => {
-            locationsData[location + 'Counts'] = getNumberCounts(location); // Store counts as 'locationCounts'
+        const result = await run.promise;
+        return isCurrent() ? result : null;
+    } catch (error) {
+        if (isCancelledJob(error)) return null;
+        throw error;
+    } finally {
+        if (isCurrent()) delete runningAnalyses[key];
+    }
+}
+
+// Build the nav buttons, location screens and ticket form options from the community registry
+async function loadCommunities() {
+    communities = await readData('communities') || [];
+
+    const payoutsButton = document.getElementById('payoutsButton');
+    const payoutsScreen = document.getElementById('payouts');
+    const screenTemplate = document.getElementById('location-screen-template');
+    const ticketLocation = document.getElementById('ticket-location');
+
+    communities.forEach((community, index) => {
+        const location = community.slug;
+
+        const navButton = document.createElement('button');
+        navButton.id = location + 'Button';
+        navButton.className = 'button';
+        navButton.textContent = community.name;
+        navButton.onclick = () => showScreen(location);
+        payoutsButton.parentNode.insertBefore(navButton, payoutsButton);
+
+        // Clone the shared screen markup and prefix every element id with the location
+        const screen = screenTemplate.content.firstElementChild.cloneNode(true);
+        screen.id = location;
+        if (index === 0) screen.classList.add('active');
+        screen.querySelectorAll('[data-element]').forEach(element => {
+            element.id = `${location}-${element.dataset.element}`;
         });
-        initializeChart();
-        // Display data for Omaha on start
-        displayData(locationsData['omaha'], 'omaha');
-        displayCombinationAnalysis('omaha');
-        displayPredictions('omaha');
-        displayStreaks('omaha');
-        displayCoOccurrence('omaha');
-
-        // Display all data statistics
-        displayAllDataCoOccurences('omaha');
-        await loadToggleState('omaha');
+        screen.querySelector('.keno-title').textContent = `${community.name} Keno Winning Combinations`;
+        screen.querySelectorAll('[data-action]').forEach(button => {
+            button.onclick = () => window[button.dataset.action](location);
+        });
+        initializeWindowPicker(screen, location);
+        initializeHeatmap(screen, location);
+        payoutsScreen.parentNode.insertBefore(screen, payoutsScreen);
+        initializeTrainingSettings(location);
+        flyInObserver.observe(screen);
+
+        const option = document.createElement('option');
+        option.value = location;
+        option.textContent = community.name;
+        ticketLocation.appendChild(option);
+    });
+}
+
+async function loadData() {
+    try {
+        await loadCommunities();
+        if (communities.length === 0) {
+            throw new Error('No communities found in data/communities.json');
+        }
+
+        // Load today's games and the full history for every community
+        for (const { slug } of communities) {
+            locationsData[slug] = normalizeTodayDraws(await readData(slug));
+            allDataFromLocations[slug] = await processKenoData(`${slug}allData`) || [];
+        }
+
+        // Display data for the first community on start
+        const defaultLocation = communities[0].slug;
+        runLocationAnalysis(defaultLocation);
+        refreshModelRegistry(defaultLocation);
+        await loadToggleState(defaultLocation);
+
+        // Check saved tickets against the freshly loaded draws
+        await checkSavedTickets();
     } catch (error) {
         console.error("Error loading data: ", error);
     }
@@ -463,9 +826,77 @@ async function loadData() {
 
 loadData().then(r => {});
 
-function displayData(data, location) {
-    const gameNumbers = Object.keys(data);
-    const gameData = Object.values(data);
+// Show/hide the count and date inputs to match the selected window type
+function initializeWindowPicker(screen, location) {
+    const typeSelect = screen.querySelector(`#${location}-window-type`);
+    const countInput = screen.querySelector(`#${location}-window-count`);
+    const dateInputs = screen.querySelectorAll('.window-date');
+
+    const syncInputs = () => {
+        countInput.style.display = typeSelect.value === 'lastN' ? '' : 'none';
+        dateInputs.forEach(input => {
+            input.style.display = typeSelect.value === 'range' ? '' : 'none';
+        });
+    };
+    typeSelect.onchange = syncInputs;
+    syncInputs();
+
+    screen.querySelector(`#${location}-window-apply`).onclick = () => applyAnalysisWindow(location);
+}
+
+// Read the window picker for a location and re-run its analyses
+function applyAnalysisWindow(location) {
+    const type = document.getElementById(`${location}-window-type`).value;
+    analysisWindows[location] = {
+        type,
+        count: parseInt(document.getElementById(`${location}-window-count`).value, 10) || 0,
+        from: document.getElementById(`${location}-window-from`).value || null,
+        to: document.getElementById(`${location}-window-to`).value || null
+    };
+
+    if (type === 'lastN' && analysisWindows[location].count < 1) {
+        alert('Please enter how many games to analyze.');
+        return;
+    }
+
+    runLocationAnalysis(location);
+}
+
+// Draws for the window currently selected on a location's screen
+function getSelectedDraws(location) {
+    return selectDraws(locationsData[location], allDataFromLocations[location], analysisWindows[location]);
+}
+
+// Run every table and the frequency chart against the selected window, drawing each as the analysis worker
+// sends its results
+async function runLocationAnalysis(location) {
+    const draws = getSelectedDraws(location);
+    const renderers = {
+        counts: counts => {
+            locationsData[location + 'Counts'] = counts;
+            displayData(draws, location);
+            updateChart(location);
+        },
+        combinations: combinations => displayCombinationAnalysis(location, combinations),
+        predictions: predictions => displayPredictions(location, predictions),
+        streaks: streaks => displayStreaks(location, streaks),
+        cooccurrence: coOccurrences => displayCoOccurrence(location, coOccurrences)
+    };
+
+    try {
+        await runAnalysisJob(location, 'tables', 'locationAnalysis', { draws }, {
+            onPartial: (name, result) => renderers[name](result)
+        });
+    } catch (error) {
+        console.error(`Error analyzing ${location}:`, error);
+    }
+}
+
+// Only the most recent games are listed; the analyses still use the whole window
+const MAX_LISTED_GAMES = 250;
+
+function displayData(draws, location) {
+    const listedDraws = draws.slice(0, MAX_LISTED_GAMES);
     const table = document.getElementById(location + '-keno-table');
     table.style.display = 'grid';
 
@@ -474,24 +905,32 @@ function displayData(data, location) {
 
     const header = document.createElement('h3');
     header.className = 'keno-header header-span';
-    header.textContent = `Most Recent Games for ${location}`;
+    header.textContent = `Most Recent Games for ${location} (${describeSelection(analysisWindows[location])}, ${draws.length} games)`;
     table.appendChild(header);
 
+    if (draws.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'header-span';
+        empty.textContent = 'No games found in the selected window.';
+        table.appendChild(empty);
+        return;
+    }
+
     // Create div for game numbers
     const gameNumbersDiv = document.createElement('div');
     gameNumbersDiv.className = 'game-numbers';
-    gameNumbers.forEach((number) => {
+    listedDraws.forEach((draw) => {
         const p = document.createElement('p');
-        p.textContent = `Game ${number}`;
+        p.textContent = draw.date ? `${draw.date} Game ${draw.gameNumber}` : `Game ${draw.gameNumber}`;
         gameNumbersDiv.appendChild(p);
     });
 
     // Create div for game data
     const gameDataDiv = document.createElement('div');
     gameDataDiv.className = 'game-data';
-    gameData.forEach((info) => {
+    listedDraws.forEach((draw) => {
         const p = document.createElement('p');
-        p.textContent = Array.isArray(info) ? info.join(', ') : info;
+        p.textContent = draw.numbers.join(', ');
         gameDataDiv.appendChild(p);
     });
 
@@ -508,7 +947,7 @@ function displayData(data, location) {
         locationCounts.appendChild(countElement);
     });
 
-    const coldNumbers = locationsData[location + 'Counts'].slice(75, 90); // Get the hot numbers dynamically
+    const coldNumbers = locationsData[location + 'Counts'].slice(75, 90); // Get the cold numbers dynamically
     const coldNumbersTitle = document.createElement('h3');
     coldNumbersTitle.textContent = 'Cold Numbers';
     locationCounts.appendChild(coldNumbersTitle);
@@ -545,32 +984,6 @@ function hideAllGameDataTables() {
     });
 }
 
-function getNumberCounts(location) {
-    let locationData = locationsData[location];
-
-    if (!locationData) {
-        console.error(`Data for location ${location} not loaded.`);
-        return null;
-    }
-
-    const numberCounts = new Map();
-
-    // Process each game's data
-    Object.values(locationData).forEach(gameData => {
-        if (Array.isArray(gameData)) {
-            gameData.forEach(number => {
-                numberCounts.set(number, (numberCounts.get(number) || 0) + 1);
-            });
-        }
-    });
-
-    // Convert Map to an array and sort by count in descending order
-    const sortedCounts = Array.from(numberCounts.entries()).sort((a, b) => b[1] - a[1]);
-
-    // Convert back to an array of objects for better usability
-    return sortedCounts.map(([number, count]) => ({ number, count }));
-}
-
 
 
 // Data processing function to format data for chart
@@ -654,13 +1067,15 @@ const chartConfig = {
 };
 
 
-let kenoChart = null;
+// One chart per community screen, keyed by location
+const kenoCharts = {};
 
-// Initialize the chart
-function initializeChart() {
-    const ctx = document.getElementById('omaha-kenoChart').getContext('2d');
-    kenoChart = new Chart(ctx, chartConfig);
-    updateChart('omaha'); // Initialize with Omaha data
+// Initialize the chart on a location's own canvas
+function initializeChart(location) {
+    const ctx = document.getElementById(location + '-kenoChart').getContext('2d');
+    // Each chart gets its own copy of the config since Chart.js keeps a reference to it
+    kenoCharts[location] = new Chart(ctx, structuredClone(chartConfig));
+    updateChart(location);
 }
 
 // Update the chart with new data
@@ -668,82 +1083,19 @@ function updateChart(location) {
     const newData = prepareChartData(location);
     if (!newData) return;
 
-    if (kenoChart) {
-        kenoChart.data = newData;
-        kenoChart.options.plugins.title.text = `${location.charAt(0).toUpperCase() + location.slice(1)} Keno Number Frequency`;
-        kenoChart.update();
-    }
-}
-
-// Different algorithms to analyze number combinations
-
-function analyzeNumberCombinations(location) {
-    const locationData = locationsData[location];
-    if (!locationData) {
-        console.error(`Data for location ${location} not found`);
-        return null;
+    if (!kenoCharts[location]) {
+        initializeChart(location);
+        return;
     }
 
-    // Create a map to store combinations and their frequencies
-    const combinationCounts = new Map();
-
-    // Process each game's data
-    Object.values(locationData).forEach(gameNumbers => {
-        if (!Array.isArray(gameNumbers)) return;
-
-        // Generate all possible combinations of 3 numbers from this game
-        for (let i = 0; i < gameNumbers.length - 2; i++) {
-            for (let j = i + 1; j < gameNumbers.length - 1; j++) {
-                for (let k = j + 1; k < gameNumbers.length; k++) {
-                    // Sort numbers to ensure consistent combination keys
-                    const combo = [gameNumbers[i], gameNumbers[j], gameNumbers[k]].sort((a, b) => a - b);
-                    const comboKey = combo.join('-');
-
-                    combinationCounts.set(comboKey, (combinationCounts.get(comboKey) || 0) + 1);
-                }
-            }
-        }
-    });
-
-    // Convert the map to an array and sort by frequency
-    const sortedCombinations = Array.from(combinationCounts.entries())
-        .map(([combo, count]) => ({
-            numbers: combo.split('-').map(Number),
-            count: count,
-            // Calculate the individual frequency score of each number
-            individualScore: combo.split('-')
-                .map(Number)
-                .reduce((sum, num) => {
-                    const individualCount = locationsData[location + 'Counts']
-                        .find(item => item.number === num)?.count || 0;
-                    return sum + individualCount;
-                }, 0)
-        }))
-        .sort((a, b) => {
-            // Primary sort by combination frequency
-            if (b.count !== a.count) return b.count - a.count;
-            // Secondary sort by individual number frequencies
-            return b.individualScore - a.individualScore;
-        });
-
-    // Calculate confidence score for each combination
-    const totalGames = Object.keys(locationData).length;
-    const topCombinations = sortedCombinations.slice(0, 10).map(combo => ({
-        numbers: combo.numbers,
-        occurrences: combo.count,
-        confidence: (combo.count / totalGames * 100).toFixed(2),
-        avgIndividualFrequency: (combo.individualScore / 3).toFixed(2)
-    }));
-
-    return topCombinations;
+    const kenoChart = kenoCharts[location];
+    kenoChart.data = newData;
+    kenoChart.options.plugins.title.text = `${location.charAt(0).toUpperCase() + location.slice(1)} Keno Number Frequency (${describeSelection(analysisWindows[location])})`;
+    kenoChart.update();
 }
 
-
 // Function to display the results and update the screen
-function displayCombinationAnalysis(location) {
-    const combinations = analyzeNumberCombinations(location);
-    if (!combinations) return;
-
+function displayCombinationAnalysis(location, combinations) {
     const table = document.getElementById(location + '-combination-table');
     table.style.display = 'grid';
 
@@ -777,181 +1129,14 @@ function displayCombinationAnalysis(location) {
         confidence.textContent = `Confidence: ${combo.confidence}%`;
         combinationDiv.appendChild(confidence);
 
-        // const avgFreq = document.createElement('p');
-        // avgFreq.textContent = `Avg Individual Frequency: ${combo.avgIndividualFrequency}`;
-        // combinationDiv.appendChild(avgFreq);
-
         table.appendChild(combinationDiv);
     });
 
     return combinations;
 }
 
-
-// Time series analysis to detect patterns in recent games
-function analyzeRecentTrends(location, windowSize = 10) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0])) // Sort by game number descending
-        .slice(0, windowSize) // Get most recent games
-        .flatMap(([_, numbers]) => numbers);
-
-    // Count frequencies in recent window
-    const recentCounts = new Map();
-    games.forEach(num => {
-        recentCounts.set(num, (recentCounts.get(num) || 0) + 1);
-    });
-
-    return Array.from(recentCounts.entries())
-        .map(([number, count]) => ({
-            number: Number(number),
-            recentFrequency: count,
-            momentum: count / windowSize
-        }))
-        .sort((a, b) => b.momentum - a.momentum);
-}
-
-// Gap analysis to find "due" numbers
-function analyzeNumberGaps(location) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0])); // Sort by game number descending
-
-    const gapAnalysis = new Map();
-    const currentGaps = new Map();
-
-    // Initialize gaps for all possible keno numbers (1-80)
-    for (let i = 1; i <= 80; i++) {
-        currentGaps.set(i, 0);
-    }
-
-    // Calculate gaps between appearances
-    games.forEach(([_, numbers]) => {
-        // Increment gaps for all numbers
-        currentGaps.forEach((gap, number) => {
-            currentGaps.set(number, gap + 1);
-        });
-
-        // Reset gap for numbers that appeared
-        numbers.forEach(num => {
-            const gap = currentGaps.get(num);
-            gapAnalysis.set(num, (gapAnalysis.get(num) || []).concat(gap));
-            currentGaps.set(num, 0);
-        });
-    });
-
-    // Calculate average gaps and current gaps
-    return Array.from(gapAnalysis.entries())
-        .map(([number, gaps]) => {
-            const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
-            return {
-                number: Number(number),
-                currentGap: currentGaps.get(Number(number)),
-                averageGap: avgGap,
-                gapRatio: currentGaps.get(Number(number)) / avgGap
-            };
-        })
-        .sort((a, b) => b.gapRatio - a.gapRatio);
-}
-
-// Hot/Cold analysis with weighted recent performance
-function analyzeHotColdPatterns(location, recentWeight = 2) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0]));
-
-    const recentGames = games.slice(0, 20);  // Last 20 games
-    const olderGames = games.slice(20);      // Older games
-
-    // Calculate weighted frequencies
-    const numberAnalysis = new Map();
-
-    // Process recent games with higher weight
-    recentGames.forEach(([_, numbers]) => {
-        numbers.forEach(num => {
-            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + recentWeight);
-        });
-    });
-
-    // Process older games with normal weight
-    olderGames.forEach(([_, numbers]) => {
-        numbers.forEach(num => {
-            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + 1);
-        });
-    });
-
-    return Array.from(numberAnalysis.entries())
-        .map(([number, score]) => ({
-            number: Number(number),
-            weightedScore: score,
-            recentPerformance: recentGames.filter(([_, nums]) =>
-                nums.includes(Number(number))).length / 20
-        }))
-        .sort((a, b) => b.weightedScore - a.weightedScore);
-}
-
-// Combine all analyses to generate final predictions
-function generatePredictions(location) {
-    const recentTrends = analyzeRecentTrends(location);
-    const gapAnalysis = analyzeNumberGaps(location);
-    const hotCold = analyzeHotColdPatterns(location);
-
-    // Normalize and combine scores
-    const combinedScores = new Map();
-
-    // Helper function to normalize scores
-    const normalizeScores = (array, scoreKey) => {
-        const max = Math.max(...array.map(item => item[scoreKey]));
-        return array.map(item => ({
-            number: item.number,
-            score: item[scoreKey] / max
-        }));
-    };
-
-    // Combine normalized scores
-    const normalizedTrends = normalizeScores(recentTrends, 'momentum');
-    const normalizedGaps = normalizeScores(gapAnalysis, 'gapRatio');
-    const normalizedHotCold = normalizeScores(hotCold, 'weightedScore');
-
-    // Calculate combined scores with weights
-    [
-        { data: normalizedTrends, weight: 0.4 },
-        { data: normalizedGaps, weight: 0.3 },
-        { data: normalizedHotCold, weight: 0.3 }
-    ].forEach(({ data, weight }) => {
-        data.forEach(({ number, score }) => {
-            combinedScores.set(
-                number,
-                (combinedScores.get(number) || 0) + score * weight
-            );
-        });
-    });
-
-    // Return final predictions
-    return Array.from(combinedScores.entries())
-        .map(([number, score]) => ({
-            number: Number(number),
-            score: score.toFixed(3),
-            confidence: (score * 100).toFixed(1) + '%',
-            recentTrend: recentTrends.find(t => t.number === Number(number))?.momentum || 0,
-            gapAnalysis: gapAnalysis.find(g => g.number === Number(number))?.gapRatio || 0,
-            hotColdScore: hotCold.find(h => h.number === Number(number))?.weightedScore || 0
-        }))
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10);
-}
-
 // Function to display predictions and update the screen
-function displayPredictions(location) {
-    const predictions = generatePredictions(location);
-    if (!predictions) return;
-
+function displayPredictions(location, predictions) {
     const table = document.getElementById(location + '-predictions-table');
     table.style.display = 'grid';
 
@@ -999,35 +1184,9 @@ function displayPredictions(location) {
     return predictions;
 }
 
-function analyzeStreaks(location) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const streaks = new Map();
-    const games = Object.values(locationData);
-
-    games.forEach(numbers => {
-        numbers.forEach(num => {
-            if (!streaks.has(num)) streaks.set(num, { current: 0, max: 0 });
-            streaks.get(num).current += 1;
-            streaks.get(num).max = Math.max(streaks.get(num).current, streaks.get(num).max);
-        });
-
-        // Reset streaks for missing numbers
-        streaks.forEach((streak, num) => {
-            if (!numbers.includes(num)) streak.current = 0;
-        });
-    });
-
-    return Array.from(streaks.entries())
-        .map(([number, { max }]) => ({ number, maxStreak: max }))
-        .sort((a, b) => b.maxStreak - a.maxStreak);
-}
-
 // Function to display streaks
-function displayStreaks(location) {
-    const predictions = analyzeStreaks(location);
-    const trimmedPreds = predictions.slice(0, 20);
+function displayStreaks(location, streaks) {
+    const trimmedStreaks = streaks.slice(0, 20);
     const table = document.getElementById(location + '-streaks-table');
     table.style.display = 'grid';
 
@@ -1039,52 +1198,18 @@ function displayStreaks(location) {
     header.textContent = `Number Streaks for ${location}`;
     table.appendChild(header);
 
-    console.log(`\nNumber Streaks for: ${location}:`);
-    trimmedPreds.forEach((pred, index) => {
+    trimmedStreaks.forEach((streak) => {
         const streakDiv = document.createElement('div');
         streakDiv.className = 'streak-entry';
-        streakDiv.textContent = pred.number + ': ' + pred.maxStreak;
+        streakDiv.textContent = streak.number + ': ' + streak.maxStreak;
         table.appendChild(streakDiv);
-        console.log(pred);
     });
 
-    return predictions;
-}
-
-function analyzeNumberCoOccurrence(location) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const coOccurrenceMap = new Map();
-    const games = Object.values(locationData);
-
-    games.forEach(numbers => {
-        numbers.forEach((num1, i) => {
-            for (let j = i + 1; j < numbers.length; j++) {
-                const num2 = numbers[j];
-                const key = [num1, num2].sort((a, b) => a - b).join('-');
-
-                coOccurrenceMap.set(key, (coOccurrenceMap.get(key) || 0) + 1);
-            }
-        });
-    });
-
-    return Array.from(coOccurrenceMap.entries())
-        .map(([pair, count]) => ({
-            pair: pair.split('-').map(Number),
-            frequency: count
-        }))
-        .sort((a, b) => b.frequency - a.frequency);
+    return streaks;
 }
 
 // Function to display number co-occurrences and update the screen
-function displayCoOccurrence(location) {
-    const predictions = analyzeNumberCoOccurrence(location);
-    if (!predictions || predictions.length === 0) {
-        console.error(`No predictions available for location: ${location}`);
-        return;
-    }
-
+function displayCoOccurrence(location, predictions) {
     const table = document.getElementById(location + '-cooccurrence-table');
     table.style.display = 'grid';
 
@@ -1100,13 +1225,7 @@ function displayCoOccurrence(location) {
     // Trim predictions to the top 10 for display
     const trimmedPreds = predictions.slice(0, 10);
 
-    // Append co-occurrence data with validation
     trimmedPreds.forEach((pred, index) => {
-        if (!pred) {
-            console.warn(`Invalid prediction entry at index ${index}`, pred);
-            return;
-        }
-
         const coOccurrenceDiv = document.createElement('div');
         coOccurrenceDiv.className = 'cooccurrence-entry';
 
@@ -1122,6 +1241,10 @@ function displayCoOccurrence(location) {
         frequency.textContent = 'Frequency: ' + pred.frequency;
         coOccurrenceDiv.appendChild(frequency);
 
+        const lift = document.createElement('p');
+        lift.textContent = `Lift: ${pred.lift.toFixed(2)}x a fair draw`;
+        coOccurrenceDiv.appendChild(lift);
+
         table.appendChild(coOccurrenceDiv);
     });
 
@@ -1130,391 +1253,855 @@ function displayCoOccurrence(location) {
 
 
 
-// functions to analyze number combinations of ALL data
 
-function analyzeNumberCombinationsOfAllData(location) {
-    const locationData = allDataFromLocations[location];
-    if (!locationData) {
-        console.error(`Data for location ${location} not found`);
-        return null;
-    }
+// FOR THE CO-OCCURRENCE HEATMAP
 
-    // Create a map to store combinations and their frequencies
-    const combinationCounts = new Map();
+// Latest analyzePairLift results per location, with the selected number, for redrawing and drilling in
+const heatmaps = {};
 
-    // Process each game's data
-    Object.values(locationData).forEach(gameNumbers => {
-        if (!Array.isArray(gameNumbers)) return;
+// Pixels per cell and for the number labels along the top and left
+const HEATMAP_CELL = 8;
+const HEATMAP_MARGIN = 24;
+// Colors are full strength at this z-score or lift away from 1
+const HEATMAP_LIMITS = { z: 4, lift: 0.5 };
 
-        // Generate all possible combinations of 3 numbers from this game
-        for (let i = 0; i < gameNumbers.length - 2; i++) {
-            for (let j = i + 1; j < gameNumbers.length - 1; j++) {
-                for (let k = j + 1; k < gameNumbers.length; k++) {
-                    // Sort numbers to ensure consistent combination keys
-                    const combo = [gameNumbers[i], gameNumbers[j], gameNumbers[k]].sort((a, b) => a - b);
-                    const comboKey = combo.join('-');
+// Redraw on a metric change, re-run on a games change, and follow the mouse over the canvas
+function initializeHeatmap(screen, location) {
+    const canvas = screen.querySelector(`#${location}-heatmap-canvas`);
+    canvas.width = canvas.height = HEATMAP_MARGIN + KENO_NUMBERS * HEATMAP_CELL;
+    canvas.style.display = 'none';
 
-                    combinationCounts.set(comboKey, (combinationCounts.get(comboKey) || 0) + 1);
-                }
+    screen.querySelector(`#${location}-heatmap-source`).onchange = () => runCoOccurrenceHeatmap(location);
+    screen.querySelector(`#${location}-heatmap-metric`).onchange = () => {
+        if (heatmaps[location]) drawCoOccurrenceHeatmap(location);
+    };
+
+    // Numbers under the mouse; a label along either edge counts as both numbers being that one
+    const numbersAt = event => {
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width / rect.width;
+        const cell = offset => Math.floor((offset * scale - HEATMAP_MARGIN) / HEATMAP_CELL) + 1;
+        const row = cell(event.clientY - rect.top);
+        const column = cell(event.clientX - rect.left);
+        if (row > KENO_NUMBERS || column > KENO_NUMBERS || (row < 1 && column < 1)) return null;
+        return { row: row < 1 ? column : row, column: column < 1 ? row : column };
+    };
+
+    canvas.onmousemove = event => {
+        const hover = document.getElementById(`${location}-heatmap-hover`);
+        const numbers = numbersAt(event);
+        const heatmap = heatmaps[location];
+        if (!heatmap || !numbers || numbers.row === numbers.column) {
+            hover.textContent = numbers && heatmap ? `Number ${numbers.row}: click to list its partners` : '';
+            return;
+        }
+        const cell = (numbers.row - 1) * KENO_NUMBERS + numbers.column - 1;
+        hover.textContent = `${numbers.row} & ${numbers.column}: drawn together ${heatmap.counts[cell]} times ` +
+            `(expected ${heatmap.expected.toFixed(1)}), lift ${heatmap.lift[cell].toFixed(2)}, z ${heatmap.z[cell].toFixed(2)}, ` +
+            `adjusted p ${formatPValue(heatmap.adjustedPValues[cell])}`;
+    };
+    canvas.onmouseleave = () => {
+        document.getElementById(`${location}-heatmap-hover`).textContent = '';
+    };
+    canvas.onclick = event => {
+        const numbers = numbersAt(event);
+        if (!heatmaps[location] || !numbers) return;
+        heatmaps[location].selected = numbers.row;
+        drawCoOccurrenceHeatmap(location);
+        displayPairPartners(location);
+    };
+}
+
+// Count every pair in the chosen games in the analysis worker, then draw the heatmap
+async function runCoOccurrenceHeatmap(location) {
+    const source = document.getElementById(`${location}-heatmap-source`).value;
+    const draws = source === 'today' ? locationsData[location] || [] : allDataFromLocations[location] || [];
+    const summary = document.getElementById(`${location}-heatmap-summary`);
+
+    if (draws.length < 2) {
+        summary.innerHTML = `Not enough games in ${source === 'today' ? "today's games" : 'the full history'} for a heatmap.`;
+        return;
+    }
+
+    summary.innerHTML = 'Counting pairs...';
+    let pairLift;
+    try {
+        pairLift = await runAnalysisJob(location, 'heatmap', 'pairLift', { draws });
+    } catch (error) {
+        summary.innerHTML = `Heatmap failed: ${error.message}`;
+        return;
+    }
+    // A newer run replaced this one
+    if (!pairLift) return;
+
+    const previous = heatmaps[location];
+    heatmaps[location] = { ...pairLift, source, selected: previous ? previous.selected : null };
+    drawCoOccurrenceHeatmap(location);
+    displayHeatmapSummary(location);
+    displayPairPartners(location);
+}
+
+function drawCoOccurrenceHeatmap(location) {
+    const heatmap = heatmaps[location];
+    const metric = document.getElementById(`${location}-heatmap-metric`).value;
+    const canvas = document.getElementById(`${location}-heatmap-canvas`);
+    const ctx = canvas.getContext('2d');
+    canvas.style.display = '';
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Red above a fair draw and blue below, stronger the further off
+    const values = metric === 'z' ? heatmap.z : heatmap.lift;
+    const center = metric === 'z' ? 0 : 1;
+    for (let row = 0; row < KENO_NUMBERS; row++) {
+        for (let column = 0; column < KENO_NUMBERS; column++) {
+            const x = HEATMAP_MARGIN + column * HEATMAP_CELL;
+            const y = HEATMAP_MARGIN + row * HEATMAP_CELL;
+            if (row === column) {
+                ctx.fillStyle = '#cccccc';
+            } else {
+                const strength = Math.max(-1, Math.min(1, (values[row * KENO_NUMBERS + column] - center) / HEATMAP_LIMITS[metric]));
+                ctx.fillStyle = strength >= 0
+                    ? `rgba(255, 99, 132, ${strength})`
+                    : `rgba(54, 162, 235, ${-strength})`;
             }
+            ctx.fillRect(x, y, HEATMAP_CELL, HEATMAP_CELL);
         }
+    }
+
+    // Label 1 and every tenth number along both edges
+    ctx.fillStyle = '#333333';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    [1, 10, 20, 30, 40, 50, 60, 70, 80].forEach(number => {
+        const offset = HEATMAP_MARGIN + (number - 0.5) * HEATMAP_CELL;
+        ctx.fillText(`${number}`, offset, HEATMAP_MARGIN / 2);
+        ctx.fillText(`${number}`, HEATMAP_MARGIN / 2, offset);
     });
 
-    // Convert the map to an array and sort by frequency
-    const sortedCombinations = Array.from(combinationCounts.entries())
-        .map(([combo, count]) => ({
-            numbers: combo.split('-').map(Number),
-            count: count,
-            // Calculate the individual frequency score of each number
-            individualScore: combo.split('-')
-                .map(Number)
-                .reduce((sum, num) => {
-                    const individualCount = locationsData[location + 'Counts']
-                        .find(item => item.number === num)?.count || 0;
-                    return sum + individualCount;
-                }, 0)
-        }))
-        .sort((a, b) => {
-            // Primary sort by combination frequency
-            if (b.count !== a.count) return b.count - a.count;
-            // Secondary sort by individual number frequencies
-            return b.individualScore - a.individualScore;
-        });
+    // Outline the selected number's row and column
+    if (heatmap.selected) {
+        const offset = HEATMAP_MARGIN + (heatmap.selected - 1) * HEATMAP_CELL;
+        const length = KENO_NUMBERS * HEATMAP_CELL;
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(HEATMAP_MARGIN + 0.5, offset + 0.5, length - 1, HEATMAP_CELL - 1);
+        ctx.strokeRect(offset + 0.5, HEATMAP_MARGIN + 0.5, HEATMAP_CELL - 1, length - 1);
+    }
+}
 
-    // Calculate confidence score for each combination
-    const totalGames = Object.keys(locationData).length;
-    const topCombinations = sortedCombinations.slice(0, 10).map(combo => ({
-        numbers: combo.numbers,
-        occurrences: combo.count,
-        confidence: (combo.count / totalGames * 100).toFixed(2),
-        avgIndividualFrequency: (combo.individualScore / 3).toFixed(2)
-    }));
+// Games, expectation and the pairs furthest from it
+function displayHeatmapSummary(location) {
+    const heatmap = heatmaps[location];
+    const pairs = [];
+    for (let low = 1; low <= KENO_NUMBERS; low++) {
+        for (let high = low + 1; high <= KENO_NUMBERS; high++) {
+            const cell = (low - 1) * KENO_NUMBERS + high - 1;
+            pairs.push({ pair: [low, high], cell, z: heatmap.z[cell] });
+        }
+    }
+    const flagged = pairs.filter(pair => heatmap.adjustedPValues[pair.cell] < 0.05).length;
+    const strongest = pairs.sort((a, b) => Math.abs(b.z) - Math.abs(a.z)).slice(0, 10);
+
+    let summaryHTML = `
+        <div class="metrics-evaluation">
+            <h4>${heatmap.games} games (${heatmap.source === 'today' ? "today's games" : 'full history'})</h4>
+            <div>Each pair is expected together in ${heatmap.expected.toFixed(1)} games.</div>
+            <div>${flagged === 0
+                ? 'No pair differs from a fair draw at the 5% level after correction.'
+                : `${flagged} pair(s) differ from a fair draw at the 5% level after correction.`}</div>
+        </div>
+        <table class="analysis-table">
+            <tr><th>Pair</th><th>Drawn together</th><th>Lift</th><th>z</th><th>Holm-adjusted p</th></tr>`;
+
+    strongest.forEach(({ pair, cell }) => {
+        summaryHTML += `<tr><td>${pair.join(' & ')}</td><td>${heatmap.counts[cell]}</td><td>${heatmap.lift[cell].toFixed(2)}</td><td>${heatmap.z[cell].toFixed(2)}</td><td>${formatPValue(heatmap.adjustedPValues[cell])}</td></tr>`;
+    });
+    summaryHTML += '</table>';
 
-    return topCombinations;
+    document.getElementById(`${location}-heatmap-summary`).innerHTML = summaryHTML;
 }
 
-// Function to display the results
-function displayCombinationAnalysisOfAllData(location) {
-    const combinations = analyzeNumberCombinations(location);
-    if (!combinations) return;
+// The selected number's partners, most over-represented first
+function displayPairPartners(location) {
+    const heatmap = heatmaps[location];
+    const container = document.getElementById(`${location}-heatmap-partners`);
+    if (!heatmap.selected) {
+        container.innerHTML = '';
+        return;
+    }
 
-    console.log(`Top number combinations for ${location}:`);
-    combinations.forEach((combo, index) => {
-        console.log(`
-            Combination ${index + 1}:
-            Numbers: ${combo.numbers.join(', ')}
-            Occurrences: ${combo.occurrences}
-            Confidence: ${combo.confidence}%
-            Avg Individual Frequency: ${combo.avgIndividualFrequency}
-        `);
+    let partnersHTML = `
+        <h4>Partners of ${heatmap.selected}</h4>
+        <div class="scroll-table">
+            <table class="analysis-table">
+                <tr><th>Number</th><th>Drawn together</th><th>Expected</th><th>Lift</th><th>z</th><th>Holm-adjusted p</th></tr>`;
+
+    pairPartners(heatmap, heatmap.selected).forEach(partner => {
+        partnersHTML += `<tr><td>${partner.number}</td><td>${partner.count}</td><td>${heatmap.expected.toFixed(1)}</td><td>${partner.lift.toFixed(2)}</td><td>${partner.z.toFixed(2)}</td><td>${formatPValue(partner.adjustedPValue)}</td></tr>`;
     });
+    partnersHTML += '</table></div>';
 
-    return combinations;
+    container.innerHTML = partnersHTML;
 }
 
 
 
-// Time series analysis to detect patterns in recent games
-function analyzeRecentTrendsOfAllData(location, windowSize = 10) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
 
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0])) // Sort by game number descending
-        .slice(0, windowSize) // Get most recent games
-        .flatMap(([_, numbers]) => numbers);
+// FOR RANDOMNESS TESTS
+
+// Test the selected window's draws against a fair 20-of-80 draw
+async function runRandomnessPanel(location) {
+    const draws = getSelectedDraws(location);
+    const resultsDiv = document.getElementById(`${location}-randomness-results`);
+
+    if (draws.length < 2) {
+        resultsDiv.innerHTML = 'Select a window with at least two games to run the randomness tests.';
+        return;
+    }
+
+    resultsDiv.innerHTML = 'Running randomness tests...';
+    try {
+        const results = await runAnalysisJob(location, 'randomness', 'randomness', { draws });
+        if (results) displayRandomnessTests(results, location);
+    } catch (error) {
+        resultsDiv.innerHTML = `Randomness tests failed: ${error.message}`;
+    }
+}
 
-    // Count frequencies in recent window
-    const recentCounts = new Map();
-    games.forEach(num => {
-        recentCounts.set(num, (recentCounts.get(num) || 0) + 1);
+function displayRandomnessTests(results, location) {
+    const resultsDiv = document.getElementById(`${location}-randomness-results`);
+    const flagged = results.tests.filter(test => test.adjustedPValue < 0.05);
+
+    let resultsHTML = `
+        <div class="metrics-evaluation">
+            <h4>${results.games} games (${describeSelection(analysisWindows[location])})</h4>
+            <div>${flagged.length === 0
+                ? 'No test rejects a fair draw at the 5% level after correction.'
+                : `${flagged.length} test(s) reject a fair draw at the 5% level after correction.`}</div>
+        </div>
+        <table class="analysis-table">
+            <tr><th>Test</th><th>Statistic</th><th>df</th><th>p-value</th><th>Holm-adjusted p</th></tr>`;
+
+    results.tests.forEach(test => {
+        resultsHTML += `<tr><td>${test.name}</td><td>${test.statistic.toFixed(2)}</td><td>${test.df}</td><td>${formatPValue(test.pValue)}</td><td>${formatPValue(test.adjustedPValue)}</td></tr>`;
     });
+    resultsHTML += '</table>';
+
+    // Per-number results next to the frequency counts, most deviant first
+    resultsHTML += `
+        <h4>Per-Number Frequency and Runs Tests</h4>
+        <div class="scroll-table">
+            <table class="analysis-table">
+                <tr><th>Number</th><th>Count</th><th>Expected</th><th>z</th><th>Adjusted p</th><th>Runs z</th><th>Runs adjusted p</th><th>Lag-1 correlation</th></tr>`;
+
+    results.numbers
+        .slice()
+        .sort((a, b) => a.adjustedPValue - b.adjustedPValue || Math.abs(b.z) - Math.abs(a.z))
+        .forEach(entry => {
+            resultsHTML += `<tr><td>${entry.number}</td><td>${entry.count}</td><td>${entry.expected.toFixed(1)}</td><td>${entry.z.toFixed(2)}</td><td>${formatPValue(entry.adjustedPValue)}</td><td>${entry.runsZ.toFixed(2)}</td><td>${formatPValue(entry.runsAdjustedPValue)}</td><td>${entry.serialCorrelation.toFixed(4)}</td></tr>`;
+        });
+    resultsHTML += '</table></div>';
 
-    return Array.from(recentCounts.entries())
-        .map(([number, count]) => ({
-            number: Number(number),
-            recentFrequency: count,
-            momentum: count / windowSize
-        }))
-        .sort((a, b) => b.momentum - a.momentum);
+    resultsDiv.innerHTML = resultsHTML;
 }
 
-// Gap analysis to find "due" numbers
-function analyzeNumberGapsOfAllData(location) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
 
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0])); // Sort by game number descending
 
-    const gapAnalysis = new Map();
-    const currentGaps = new Map();
 
-    // Initialize gaps for all possible keno numbers (1-80)
-    for (let i = 1; i <= 80; i++) {
-        currentGaps.set(i, 0);
+// FOR BOARD LAYOUT
+
+// Split distribution charts per location, one for each split
+const boardSplitCharts = {};
+
+// Compare where the selected window's numbers fall on the board with a fair draw
+async function runBoardLayoutPanel(location) {
+    const draws = getSelectedDraws(location);
+    const resultsDiv = document.getElementById(`${location}-board-layout-results`);
+
+    if (draws.length < 2) {
+        resultsDiv.innerHTML = 'Select a window with at least two games to analyze the board layout.';
+        return;
     }
 
-    // Calculate gaps between appearances
-    games.forEach(([_, numbers]) => {
-        // Increment gaps for all numbers
-        currentGaps.forEach((gap, number) => {
-            currentGaps.set(number, gap + 1);
-        });
+    resultsDiv.innerHTML = 'Analyzing board layout...';
+    try {
+        const layout = await runAnalysisJob(location, 'board-layout', 'boardLayout', { draws });
+        if (layout) displayBoardLayout(layout, location);
+    } catch (error) {
+        resultsDiv.innerHTML = `Board layout analysis failed: ${error.message}`;
+    }
+}
 
-        // Reset gap for numbers that appeared
-        numbers.forEach(num => {
-            const gap = currentGaps.get(num);
-            gapAnalysis.set(num, (gapAnalysis.get(num) || []).concat(gap));
-            currentGaps.set(num, 0);
-        });
-    });
+// Background for a cell's z-score: red above a fair draw and blue below, full strength at |z| = 3
+function heatColor(z) {
+    const strength = Math.min(1, Math.abs(z) / 3);
+    return z >= 0 ? `rgba(255, 99, 132, ${strength})` : `rgba(54, 162, 235, ${strength})`;
+}
 
-    // Calculate average gaps and current gaps
-    return Array.from(gapAnalysis.entries())
-        .map(([number, gaps]) => {
-            const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
-            return {
-                number: Number(number),
-                currentGap: currentGaps.get(Number(number)),
-                averageGap: avgGap,
-                gapRatio: currentGaps.get(Number(number)) / avgGap
-            };
-        })
-        .sort((a, b) => b.gapRatio - a.gapRatio);
-}
-
-// Hot/Cold analysis with weighted recent performance
-function analyzeHotColdPatternsOfAllData(location, recentWeight = 2) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
-
-    const games = Object.entries(locationData)
-        .sort((a, b) => Number(b[0]) - Number(a[0]));
-
-    const recentGames = games.slice(0, 20);  // Last 20 games
-    const olderGames = games.slice(20);      // Older games
-
-    // Calculate weighted frequencies
-    const numberAnalysis = new Map();
-
-    // Process recent games with higher weight
-    recentGames.forEach(([_, numbers]) => {
-        numbers.forEach(num => {
-            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + recentWeight);
-        });
+function displayBoardLayout(layout, location) {
+    const resultsDiv = document.getElementById(`${location}-board-layout-results`);
+    const flagged = layout.tests.filter(test => test.adjustedPValue < 0.05);
+    const { adjacentPairs, largestCluster } = layout.clusters;
+
+    let resultsHTML = `
+        <div class="metrics-evaluation">
+            <h4>${layout.games} games (${describeSelection(analysisWindows[location])})</h4>
+            <div>${flagged.length === 0
+                ? 'No test rejects a fair draw at the 5% level after correction.'
+                : `${flagged.length} test(s) reject a fair draw at the 5% level after correction.`}</div>
+            <div><strong>Side-by-side pairs per draw:</strong> ${adjacentPairs.observed.toFixed(3)} (fair draw: ${adjacentPairs.expected.toFixed(3)})</div>
+            <div><strong>Largest group of touching numbers per draw:</strong> ${largestCluster.observed.toFixed(3)} (fair draw: ${largestCluster.expected.toFixed(3)}, from ${largestCluster.simulations} simulated draws)</div>
+        </div>
+        <table class="analysis-table">
+            <tr><th>Test</th><th>Statistic</th><th>df</th><th>p-value</th><th>Holm-adjusted p</th></tr>`;
+
+    layout.tests.forEach(test => {
+        resultsHTML += `<tr><td>${test.name}</td><td>${test.statistic.toFixed(2)}</td><td>${test.df === null ? '-' : test.df}</td><td>${formatPValue(test.pValue)}</td><td>${formatPValue(test.adjustedPValue)}</td></tr>`;
     });
-
-    // Process older games with normal weight
-    olderGames.forEach(([_, numbers]) => {
-        numbers.forEach(num => {
-            numberAnalysis.set(num, (numberAnalysis.get(num) || 0) + 1);
+    resultsHTML += '</table>';
+
+    // The board itself, each cell colored by how far its count is from a fair draw's
+    resultsHTML += `
+        <h4>Heat Board (expected ${layout.cells[0].expected.toFixed(1)} draws per number)</h4>
+        <table class="heat-board">`;
+    for (let row = 0; row < 8; row++) {
+        resultsHTML += '<tr>';
+        layout.cells.filter(cell => cell.row === row).forEach(cell => {
+            resultsHTML += `<td style="background-color: ${heatColor(cell.z)}" title="z = ${cell.z.toFixed(2)}"><strong>${cell.number}</strong><small>${cell.count}</small></td>`;
         });
+        resultsHTML += '</tr>';
+    }
+    resultsHTML += '</table>';
+    resultsDiv.innerHTML = resultsHTML;
+
+    layout.splits.forEach((split, index) => drawBoardSplitChart(split, layout.games, location, index));
+
+    let groupsHTML = '';
+    Object.entries(layout.groups).forEach(([name, group]) => {
+        groupsHTML += `
+            <h4>${name.charAt(0).toUpperCase() + name.slice(1)}</h4>
+            <table class="analysis-table">
+                <tr><th></th>${group.labels.map(label => `<th>${label}</th>`).join('')}</tr>
+                <tr><td>Drawn</td>${group.counts.map(count => `<td>${count}</td>`).join('')}</tr>
+                <tr><td>Expected</td>${group.expected.map(expected => `<td>${expected.toFixed(1)}</td>`).join('')}</tr>
+                <tr><td>Difference</td>${group.counts.map((count, i) => `<td>${((count / group.expected[i] - 1) * 100).toFixed(2)}%</td>`).join('')}</tr>
+            </table>`;
     });
+    document.getElementById(`${location}-board-layout-groups`).innerHTML = groupsHTML;
+}
 
-    return Array.from(numberAnalysis.entries())
-        .map(([number, score]) => ({
-            number: Number(number),
-            weightedScore: score,
-            recentPerformance: recentGames.filter(([_, nums]) =>
-                nums.includes(Number(number))).length / 20
-        }))
-        .sort((a, b) => b.weightedScore - a.weightedScore);
-}
-
-// Combine all analyses to generate final predictions
-function generatePredictionsofAllData(location) {
-    const recentTrends = analyzeRecentTrends(location);
-    const gapAnalysis = analyzeNumberGaps(location);
-    const hotCold = analyzeHotColdPatterns(location);
-
-    // Normalize and combine scores
-    const combinedScores = new Map();
-
-    // Helper function to normalize scores
-    const normalizeScores = (array, scoreKey) => {
-        const max = Math.max(...array.map(item => item[scoreKey]));
-        return array.map(item => ({
-            number: item.number,
-            score: item[scoreKey] / max
-        }));
-    };
+// Share of draws with each count in the split's first half, against the exact hypergeometric share
+function drawBoardSplitChart(split, games, location, index) {
+    const key = `${location}-${index}`;
+    const ctx = document.getElementById(`${location}-board-split-chart-${index}`).getContext('2d');
+    if (boardSplitCharts[key]) boardSplitCharts[key].destroy(); // Destroy previous chart
 
-    // Combine normalized scores
-    const normalizedTrends = normalizeScores(recentTrends, 'momentum');
-    const normalizedGaps = normalizeScores(gapAnalysis, 'gapRatio');
-    const normalizedHotCold = normalizeScores(hotCold, 'weightedScore');
-
-    // Calculate combined scores with weights
-    [
-        { data: normalizedTrends, weight: 0.4 },
-        { data: normalizedGaps, weight: 0.3 },
-        { data: normalizedHotCold, weight: 0.3 }
-    ].forEach(({ data, weight }) => {
-        data.forEach(({ number, score }) => {
-            combinedScores.set(
-                number,
-                (combinedScores.get(number) || 0) + score * weight
-            );
-        });
+    boardSplitCharts[key] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: split.counts.map((_, k) => `${k}`),
+            datasets: [{
+                label: 'Observed',
+                data: split.counts.map(count => games > 0 ? count / games * 100 : 0),
+                backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }, {
+                label: 'Expected (fair draw)',
+                data: split.expectedProbabilities.map(p => p * 100),
+                backgroundColor: 'rgba(255, 99, 132, 0.5)',
+                borderColor: 'rgba(255, 99, 132, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `${split.name} Split: ${split.mean.toFixed(2)} numbers per draw in the ${split.first} on average`
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: `Numbers Drawn in the ${split.first}`
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: '% of Games'
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
     });
+}
 
-    // Return final predictions
-    return Array.from(combinedScores.entries())
-        .map(([number, score]) => ({
-            number: Number(number),
-            score: score.toFixed(3),
-            confidence: (score * 100).toFixed(1) + '%',
-            recentTrend: recentTrends.find(t => t.number === Number(number))?.momentum || 0,
-            gapAnalysis: gapAnalysis.find(g => g.number === Number(number))?.gapRatio || 0,
-            hotColdScore: hotCold.find(h => h.number === Number(number))?.weightedScore || 0
-        }))
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10);
-}
-
-// Function to display predictions
-function displayPredictionsOfAllData(location) {
-    const predictions = generatePredictions(location);
-
-    console.log(`\nTop predicted numbers for ${location}:`);
-    predictions.forEach((pred, index) => {
-        console.log(`
-            Number ${index + 1}: ${pred.number}
-            Confidence: ${pred.confidence}
-            Recent Trend Score: ${pred.recentTrend.toFixed(2)}
-            Gap Analysis Score: ${pred.gapAnalysis.toFixed(2)}
-            Hot/Cold Score: ${pred.hotColdScore.toFixed(2)}
-        `);
-    });
 
-    return predictions;
-}
 
-function analyzeStreaksOfAllData(location) {
-    const locationData = locationsData[location];
-    if (!locationData) return null;
 
-    const streaks = new Map();
-    const games = Object.values(locationData);
+// FOR DRAW SHAPE
 
-    games.forEach(numbers => {
-        numbers.forEach(num => {
-            if (!streaks.has(num)) streaks.set(num, { current: 0, max: 0 });
-            streaks.get(num).current += 1;
-            streaks.get(num).max = Math.max(streaks.get(num).current, streaks.get(num).max);
-        });
+// Latest analyzeDrawShapes results and chart per location, so the chart can switch metrics without re-running
+const drawShapes = {};
+const drawShapeCharts = {};
 
-        // Reset streaks for missing numbers
-        streaks.forEach((streak, num) => {
-            if (!numbers.includes(num)) streak.current = 0;
-        });
+// Histograms wider than this are grouped into bins for the chart
+const MAX_SHAPE_BARS = 60;
+
+// Compare the shape of every stored game with a fair draw
+async function runDrawShapePanel(location) {
+    const history = allDataFromLocations[location] || [];
+    const resultsDiv = document.getElementById(`${location}-draw-shape-results`);
+
+    if (history.length < 2) {
+        resultsDiv.innerHTML = `Not enough history for ${location} to analyze draw shapes.`;
+        return;
+    }
+
+    resultsDiv.innerHTML = 'Analyzing draw shapes...';
+    try {
+        const shapes = await runAnalysisJob(location, 'draw-shape', 'drawShapes', { draws: history });
+        if (!shapes) return;
+        drawShapes[location] = shapes;
+        displayDrawShapes(shapes, location);
+        drawDrawShapeChart(location);
+    } catch (error) {
+        resultsDiv.innerHTML = `Draw shape analysis failed: ${error.message}`;
+    }
+}
+
+function displayDrawShapes(shapes, location) {
+    const resultsDiv = document.getElementById(`${location}-draw-shape-results`);
+    const metricSelect = document.getElementById(`${location}-draw-shape-metric`);
+    metricSelect.onchange = () => drawDrawShapeChart(location);
+
+    const flagged = Object.values(shapes.metrics).filter(metric => metric.test.adjustedPValue < 0.05);
+    let resultsHTML = `
+        <div class="metrics-evaluation">
+            <h4>${shapes.games} games (full history)</h4>
+            <div>${flagged.length === 0
+                ? 'No draw-shape test rejects a fair draw at the 5% level after correction.'
+                : `${flagged.length} draw-shape test(s) reject a fair draw at the 5% level after correction.`}</div>
+        </div>
+        <table class="analysis-table">
+            <tr><th>Metric</th><th>Average</th><th>Fair draw</th><th>Middle 50% (fair draw)</th><th>Chi-square</th><th>df</th><th>p-value</th><th>Holm-adjusted p</th></tr>`;
+
+    Object.values(shapes.metrics).forEach(metric => {
+        resultsHTML += `<tr><td>${metric.label}</td><td>${metric.mean.toFixed(3)}</td><td>${metric.expectedMean.toFixed(3)}</td><td>${metric.middle.low} to ${metric.middle.high}</td><td>${metric.test.statistic.toFixed(2)}</td><td>${metric.test.df}</td><td>${formatPValue(metric.test.pValue)}</td><td>${formatPValue(metric.test.adjustedPValue)}</td></tr>`;
     });
+    resultsHTML += '</table>';
+
+    const { labels, counts, expected } = shapes.metrics.decades.totals;
+    resultsHTML += `
+        <h4>Numbers Drawn per Decade</h4>
+        <table class="analysis-table">
+            <tr><th></th>${labels.map(label => `<th>${label}</th>`).join('')}</tr>
+            <tr><td>Drawn</td>${counts.map(count => `<td>${count}</td>`).join('')}</tr>
+            <tr><td>Expected</td>${counts.map(() => `<td>${expected.toFixed(1)}</td>`).join('')}</tr>
+        </table>
+        <div><small>The decade test compares these totals, since the pooled counts of one draw always add up to 20.</small></div>`;
 
-    return Array.from(streaks.entries())
-        .map(([number, { max }]) => ({ number, maxStreak: max }))
-        .sort((a, b) => b.maxStreak - a.maxStreak);
+    resultsDiv.innerHTML = resultsHTML;
 }
 
-// Function to display streaks
-function displayStreaksOfAllData(location) {
-    const predictions = analyzeStreaks(location);
+// Histogram of the selected metric against the fair-draw distribution, as % of games
+function drawDrawShapeChart(location) {
+    const shapes = drawShapes[location];
+    if (!shapes) return;
+    const metric = shapes.metrics[document.getElementById(`${location}-draw-shape-metric`).value];
+
+    // Only chart the values a fair draw can take, grouped into bins when there are too many
+    const first = metric.expectedProbabilities.findIndex(probability => probability > 0);
+    const last = metric.expectedProbabilities.length - 1 - metric.expectedProbabilities.slice().reverse().findIndex(probability => probability > 0);
+    const binWidth = Math.ceil((last - first + 1) / MAX_SHAPE_BARS);
+    const total = metric.counts.reduce((sum, count) => sum + count, 0);
+    const labels = [];
+    const observed = [];
+    const expected = [];
+    for (let start = first; start <= last; start += binWidth) {
+        const end = Math.min(last, start + binWidth - 1);
+        let count = 0;
+        let probability = 0;
+        for (let value = start; value <= end; value++) {
+            count += metric.counts[value];
+            probability += metric.expectedProbabilities[value];
+        }
+        labels.push(binWidth === 1 ? `${start}` : `${start}-${end}`);
+        observed.push(total > 0 ? count / total * 100 : 0);
+        expected.push(probability * 100);
+    }
 
-    console.log(`\nNumber Streaks for: ${location}:`);
-    predictions.forEach((pred, index) => {
-        console.log(pred);
-    });
+    const ctx = document.getElementById(`${location}-draw-shape-chart`).getContext('2d');
+    if (drawShapeCharts[location]) drawShapeCharts[location].destroy(); // Destroy previous chart
 
-    return predictions;
+    drawShapeCharts[location] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'Observed',
+                data: observed,
+                backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }, {
+                label: 'Expected (fair draw)',
+                data: expected,
+                backgroundColor: 'rgba(255, 99, 132, 0.5)',
+                borderColor: 'rgba(255, 99, 132, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: metric.label
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: metric.label
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: metric === shapes.metrics.decades ? '% of Decades' : '% of Games'
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
+    });
 }
 
 
-// works now
-function analyzeNumberCoOccurrenceOfAllData(location) {
-    const locationData = allDataFromLocations[location];
-    if (!locationData) return null;
 
-    const coOccurrenceMap = new Map();
-    const games = Object.values(locationData);
 
-    // Add debugging
-    console.log('Games:', games);
+// FOR GAPS
 
-    games.forEach((game, index) => {
-        // Add type checking
-        if (!game || !Array.isArray(game.numbers)) {
-            console.log(`Warning: Element at index ${index} is invalid:`, game);
-            return; // Skip this iteration
-        }
+// Latest analyzeGapDistribution results and charts per location, so the histogram can switch numbers without re-running
+const gapAnalyses = {};
+const gapCharts = {};
+const gapConditionalCharts = {};
 
-        const numbers = game.numbers;
-        numbers.forEach((num1, i) => {
-            for (let j = i + 1; j < numbers.length; j++) {
-                const num2 = numbers[j];
-                const key = [num1, num2].sort((a, b) => a - b).join('-');
-                coOccurrenceMap.set(key, (coOccurrenceMap.get(key) || 0) + 1);
-            }
-        });
-    });
+// Measure the gaps between every number's draws over the stored history
+async function runGapPanel(location) {
+    const history = allDataFromLocations[location] || [];
+    const resultsDiv = document.getElementById(`${location}-gap-results`);
 
-    return Array.from(coOccurrenceMap.entries())
-        .map(([pair, count]) => ({
-            pair: pair.split('-').map(Number),
-            frequency: count
-        }))
-        .sort((a, b) => b.frequency - a.frequency);
+    if (history.length < 2) {
+        resultsDiv.innerHTML = `Not enough history for ${location} to analyze gaps.`;
+        return;
+    }
+
+    resultsDiv.innerHTML = 'Analyzing gaps...';
+    try {
+        const gaps = await runAnalysisJob(location, 'gaps', 'gaps', { draws: history });
+        if (!gaps) return;
+        gapAnalyses[location] = gaps;
+        displayGapAnalysis(gaps, location);
+        drawGapChart(location);
+        drawGapConditionalChart(gaps, location);
+    } catch (error) {
+        resultsDiv.innerHTML = `Gap analysis failed: ${error.message}`;
+    }
 }
 
+// Label for a gap bin; the last bin holds everything from maxGap up
+function gapLabel(gap, maxGap) {
+    return gap === maxGap ? `${gap}+` : `${gap}`;
+}
 
-// Function to display number co-occurrences and update the screen
-function displayAllDataCoOccurences(location) {
-    const predictions = analyzeNumberCoOccurrenceOfAllData(location);
-    if (!predictions || predictions.length === 0) {
-        console.error(`No predictions available for location: ${location}`);
-        return;
+function displayGapAnalysis(gaps, location) {
+    const numberSelect = document.getElementById(`${location}-gap-number`);
+    if (numberSelect.options.length === 1) {
+        for (let number = 1; number <= KENO_NUMBERS; number++) {
+            numberSelect.add(new Option(`Number ${number}`, `${number}`));
+        }
+        numberSelect.onchange = () => drawGapChart(location);
     }
 
-    const table = document.getElementById(location + '-cooccurrence-table-all-data');
-    table.style.display = 'grid';
+    // Every number-game after at least expectedMeanGap misses, pooled
+    const due = gaps.conditional.filter(entry => entry.gap >= gaps.expectedMeanGap);
+    const dueTrials = due.reduce((sum, entry) => sum + entry.trials, 0);
+    const dueHits = due.reduce((sum, entry) => sum + entry.hits, 0);
+    const dueInterval = wilsonInterval(dueHits, dueTrials);
+    const flagged = gaps.numbers.filter(entry => entry.test.adjustedPValue < 0.05);
+    const percent = value => `${(value * 100).toFixed(2)}%`;
+
+    let resultsHTML = `
+        <div class="metrics-evaluation">
+            <h4>${gaps.games} games (full history)</h4>
+            <div><strong>All gaps vs geometric:</strong> chi-square ${gaps.pooled.test.statistic.toFixed(2)} on ${gaps.pooled.test.df} df, p = ${formatPValue(gaps.pooled.test.pValue)}</div>
+            <div>${flagged.length === 0
+                ? 'No number\'s gaps differ from a fair draw\'s at the 5% level after correction.'
+                : `${flagged.length} number(s) have gaps that differ from a fair draw's at the 5% level after correction.`}</div>
+            <div><strong>Numbers undrawn for ${gaps.expectedMeanGap} or more games</strong> (the average gap) hit ${dueTrials > 0 ? percent(dueHits / dueTrials) : '-'} of the time (95% CI ${percent(dueInterval.low)} to ${percent(dueInterval.high)}, ${dueTrials} chances) against 25% for a fair draw.</div>
+        </div>
+        <h4>Hit Rate by Games Undrawn</h4>
+        <div class="scroll-table">
+            <table class="analysis-table">
+                <tr><th>Games undrawn</th><th>Chances</th><th>Hits</th><th>Hit rate</th><th>95% CI</th><th>z vs 25%</th><th>p-value</th></tr>`;
+
+    gaps.conditional.forEach(entry => {
+        resultsHTML += `<tr><td>${gapLabel(entry.gap, gaps.maxGap)}</td><td>${entry.trials}</td><td>${entry.hits}</td><td>${entry.trials > 0 ? percent(entry.rate) : '-'}</td><td>${percent(entry.low)} to ${percent(entry.high)}</td><td>${entry.z.toFixed(2)}</td><td>${formatPValue(entry.pValue)}</td></tr>`;
+    });
+    resultsHTML += '</table></div>';
+    document.getElementById(`${location}-gap-results`).innerHTML = resultsHTML;
+
+    // Each number's chance of hitting next game, read from how numbers at its current gap have done
+    let numbersHTML = `
+        <h4>Every Number, Longest Undrawn First</h4>
+        <div class="scroll-table">
+            <table class="analysis-table">
+                <tr><th>Number</th><th>Games undrawn now</th><th>Historical hit rate at that gap</th><th>Longest drought</th><th>Mean gap (fair: ${gaps.expectedMeanGap})</th><th>Gaps vs geometric, Holm-adjusted p</th></tr>`;
+
+    gaps.numbers
+        .slice()
+        .sort((a, b) => b.currentGap - a.currentGap || a.number - b.number)
+        .forEach(entry => {
+            const conditional = gaps.conditional[Math.min(entry.currentGap, gaps.maxGap)];
+            numbersHTML += `<tr><td>${entry.number}</td><td>${entry.currentGap}</td><td>${conditional.trials > 0 ? percent(conditional.rate) : '-'} (${percent(conditional.low)} to ${percent(conditional.high)})</td><td>${entry.longestDrought}</td><td>${entry.meanGap.toFixed(2)}</td><td>${formatPValue(entry.test.adjustedPValue)}</td></tr>`;
+        });
+    numbersHTML += '</table></div>';
+    document.getElementById(`${location}-gap-numbers`).innerHTML = numbersHTML;
+}
 
-    // Clear any existing content
-    table.innerHTML = '';
+// Gap histogram of the selected number (or all numbers) against the geometric distribution, as % of gaps
+function drawGapChart(location) {
+    const gaps = gapAnalyses[location];
+    if (!gaps) return;
+    const selected = parseInt(document.getElementById(`${location}-gap-number`).value, 10);
+    const counts = selected ? gaps.numbers[selected - 1].counts : gaps.pooled.counts;
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const gapRange = counts.map((_, gap) => gap).slice(1);
 
-    // Create and append a header
-    const header = document.createElement('div');
-    header.className = 'cooccurrence-header header-span';
-    header.textContent = `Top Number Co-Occurrences for ${location}`;
-    table.appendChild(header);
+    const ctx = document.getElementById(`${location}-gap-chart`).getContext('2d');
+    if (gapCharts[location]) gapCharts[location].destroy(); // Destroy previous chart
 
-    // Trim predictions to the top 10 for display
-    const trimmedPreds = predictions.slice(0, 10);
+    gapCharts[location] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: gapRange.map(gap => gapLabel(gap, gaps.maxGap)),
+            datasets: [{
+                label: 'Observed',
+                data: gapRange.map(gap => total > 0 ? counts[gap] / total * 100 : 0),
+                backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }, {
+                label: 'Geometric (fair draw)',
+                data: gapRange.map(gap => gaps.geometric[gap] * 100),
+                backgroundColor: 'rgba(255, 99, 132, 0.5)',
+                borderColor: 'rgba(255, 99, 132, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Gaps Between Draws of ${selected ? `Number ${selected}` : 'All Numbers'} (${total} gaps)`
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Games Between Draws'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: '% of Gaps'
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
+    });
+}
 
-    // Append co-occurrence data with validation
-    trimmedPreds.forEach((pred, index) => {
-        if (!pred) {
-            console.warn(`Invalid prediction entry at index ${index}`, pred);
-            return;
+// Hit rate after each number of games undrawn, against the fair draw's flat 25%
+function drawGapConditionalChart(gaps, location) {
+    const ctx = document.getElementById(`${location}-gap-conditional-chart`).getContext('2d');
+    if (gapConditionalCharts[location]) gapConditionalCharts[location].destroy(); // Destroy previous chart
+
+    gapConditionalCharts[location] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: gaps.conditional.map(entry => gapLabel(entry.gap, gaps.maxGap)),
+            datasets: [{
+                label: 'Observed hit rate',
+                data: gaps.conditional.map(entry => entry.rate * 100),
+                backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }, {
+                type: 'line',
+                label: 'Fair draw (25%)',
+                data: gaps.conditional.map(() => 25),
+                borderColor: 'rgba(255, 99, 132, 1)',
+                pointRadius: 0,
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Chance of Being Drawn Next Game, by Games Undrawn'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Games Undrawn So Far'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Hit Rate (%)'
+                    },
+                    beginAtZero: true
+                }
+            }
         }
+    });
+}
 
-        const coOccurrenceDiv = document.createElement('div');
-        coOccurrenceDiv.className = 'cooccurrence-entry';
 
-        const title = document.createElement('h4');
-        title.textContent = `Co-Occurrence ${index + 1}`;
-        coOccurrenceDiv.appendChild(title);
 
-        const numbers = document.createElement('p');
-        numbers.textContent = `Numbers: ${pred.pair.join(', ')}`;
-        coOccurrenceDiv.appendChild(numbers);
 
-        const frequency = document.createElement('p');
-        frequency.textContent = 'Frequency: ' + pred.frequency;
-        coOccurrenceDiv.appendChild(frequency);
+// FOR BACKTESTING
 
-        table.appendChild(coOccurrenceDiv);
+// Backtest charts per location
+const backtestCharts = {};
+
+// Replay a location's stored history and score generatePredictions against each next draw
+async function runBacktest(location) {
+    const topN = parseInt(document.getElementById(`${location}-backtest-top-n`).value, 10);
+    const lookback = parseInt(document.getElementById(`${location}-backtest-lookback`).value, 10);
+    const maxGames = parseInt(document.getElementById(`${location}-backtest-games`).value, 10) || 0;
+    const resultsDiv = document.getElementById(`${location}-backtest-results`);
+    const history = allDataFromLocations[location] || [];
+
+    if (!topN || topN < 1 || topN > 20 || !lookback || lookback < 1) {
+        resultsDiv.innerHTML = 'Please pick a top-N between 1 and 20 and a lookback of at least 1 game.';
+        return;
+    }
+    if (history.length <= lookback) {
+        resultsDiv.innerHTML = `Not enough history for ${location} to backtest with a ${lookback}-game lookback.`;
+        return;
+    }
+
+    resultsDiv.innerHTML = 'Running backtest...';
+    let results;
+    try {
+        results = await runAnalysisJob(location, 'backtest', 'backtest', {
+            draws: history,
+            options: { topN, lookback, minHistory: lookback, maxGames }
+        }, {
+            onProgress: ({ done, total }) => {
+                resultsDiv.innerHTML = `Running backtest... ${done}/${total} games`;
+            }
+        });
+    } catch (error) {
+        resultsDiv.innerHTML = `Backtest failed: ${error.message}`;
+        return;
+    }
+
+    // A newer run replaced this one
+    if (results) displayBacktestResults(results, location);
+}
+
+function displayBacktestResults(results, location) {
+    const resultsDiv = document.getElementById(`${location}-backtest-results`);
+    const significant = results.pValue < 0.05;
+
+    let resultsHTML = `
+        <div class="metrics-evaluation">
+            <h4>Top ${results.topN} predictions over ${results.games} replayed games</h4>
+            <div><strong>Average hits:</strong> ${results.averageHits.toFixed(3)} (random ticket: ${results.expectedHits.toFixed(3)})</div>
+            <div><strong>Hit rate:</strong> ${(results.hitRate * 100).toFixed(2)}% (random: 25.00%)</div>
+            <div><strong>z-score:</strong> ${results.z.toFixed(2)}, one-sided p = ${formatPValue(results.pValue)}</div>
+            <div><strong>Chi-square vs hypergeometric:</strong> ${results.chiSquare.statistic.toFixed(2)} on ${results.chiSquare.df} df, p = ${formatPValue(results.chiSquare.pValue)}</div>
+            <div><small>${significant ? 'The predictions beat random picks at the 5% level.' : 'No evidence the predictions beat random picks.'}</small></div>
+        </div>
+        <table class="analysis-table">
+            <tr><th>Hits</th><th>Games</th><th>Observed</th><th>Expected (random)</th></tr>`;
+
+    results.hitCounts.forEach((count, hits) => {
+        const observed = results.games > 0 ? count / results.games : 0;
+        resultsHTML += `<tr><td>${hits}</td><td>${count}</td><td>${(observed * 100).toFixed(2)}%</td><td>${(results.expectedProbabilities[hits] * 100).toFixed(2)}%</td></tr>`;
     });
+    resultsHTML += '</table>';
+    resultsDiv.innerHTML = resultsHTML;
 
-    return predictions;
+    const ctx = document.getElementById(`${location}-backtest-chart`).getContext('2d');
+    if (backtestCharts[location]) backtestCharts[location].destroy(); // Destroy previous chart
+
+    backtestCharts[location] = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: results.hitCounts.map((_, hits) => `${hits}`),
+            datasets: [{
+                label: 'Observed',
+                data: results.hitCounts.map(count => results.games > 0 ? count / results.games * 100 : 0),
+                backgroundColor: 'rgba(54, 162, 235, 0.5)',
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }, {
+                label: 'Expected (random)',
+                data: results.expectedProbabilities.map(p => p * 100),
+                backgroundColor: 'rgba(255, 99, 132, 0.5)',
+                borderColor: 'rgba(255, 99, 132, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: `Hits in the Top ${results.topN} Predicted Numbers`
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Hits in the Next Draw'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: '% of Games'
+                    },
+                    beginAtZero: true
+                }
+            }
+        }
+    });
 }
 
 
@@ -1558,49 +2145,386 @@ document.addEventListener("DOMContentLoaded", () => {
 
 
 
+// FOR THE PLAY LEDGER
+
+let ledgerPayoutData = null;
+let ledgerChart = null;
+
+async function showLedger() {
+    if (!ledgerPayoutData) {
+        ledgerPayoutData = await readData('payoutData');
+        if (!ledgerPayoutData) return;
+
+        const gameSelect = document.getElementById('ledger-game');
+        Object.keys(ledgerPayoutData).forEach(game => {
+            const option = document.createElement('option');
+            option.value = game;
+            option.textContent = kenoGameNames[game] || game;
+            gameSelect.appendChild(option);
+        });
+        gameSelect.value = 'regularKeno';
+        updateLedgerSpots();
+
+        const locationSelect = document.getElementById('ledger-location');
+        communities.forEach(community => {
+            const option = document.createElement('option');
+            option.value = community.slug;
+            option.textContent = community.name;
+            locationSelect.appendChild(option);
+        });
+
+        document.getElementById('ledger-date').value = new Date().toISOString().slice(0, 10);
+    }
+
+    await renderLedger();
+}
+
+function updateLedgerSpots() {
+    const gameData = ledgerPayoutData[document.getElementById('ledger-game').value];
+    const halfBoard = gameRules(gameData).type === 'halfBoard';
+    populateSpotOptions(document.getElementById('ledger-spots'), gameData);
+
+    // Half-board games pre-fill from the half played instead of picked numbers
+    document.getElementById('ledger-half-group').style.display = halfBoard ? '' : 'none';
+    document.getElementById('ledger-numbers-group').style.display = halfBoard ? 'none' : '';
+}
+
+// Read the ledger form, or show what is missing and return null
+function readLedgerForm() {
+    const message = document.getElementById('ledger-form-message');
+    const entry = {
+        date: document.getElementById('ledger-date').value,
+        location: document.getElementById('ledger-location').value,
+        game: document.getElementById('ledger-game').value,
+        spotCount: document.getElementById('ledger-spots').value,
+        betAmount: parseFloat(document.getElementById('ledger-bet').value),
+        draws: parseInt(document.getElementById('ledger-draws').value, 10),
+        payout: parseFloat(document.getElementById('ledger-payout').value) || 0
+    };
+
+    if (!entry.date || !entry.location || !entry.game || !entry.spotCount || !entry.betAmount || !entry.draws || entry.draws < 1) {
+        message.textContent = 'Please fill in the date, community, game, spots, bet and number of draws.';
+        return null;
+    }
+    message.textContent = '';
+    return entry;
+}
+
+// Work out the payout from the loaded draws for the numbers played from the start game
+function prefillLedgerPayout() {
+    const entry = readLedgerForm();
+    if (!entry) return;
+    const message = document.getElementById('ledger-form-message');
+    const gameData = ledgerPayoutData[entry.game];
+    const startGame = parseInt(document.getElementById('ledger-start-game').value, 10);
+    const halfBoard = gameRules(gameData).type === 'halfBoard';
+    const numbers = halfBoard
+        ? halfBoardNumbers(document.getElementById('ledger-half').value)
+        : parseNumberList(document.getElementById('ledger-numbers').value);
+
+    if (!startGame) {
+        message.textContent = 'Enter the start game to pre-fill the payout.';
+        return;
+    }
+    // A half-board ticket plays all 40 numbers of its half, whatever its spot count key says
+    if (!halfBoard && numbers.length !== parseInt(entry.spotCount, 10)) {
+        message.textContent = `Enter the ${entry.spotCount} numbers played and the start game to pre-fill the payout.`;
+        return;
+    }
+
+    const draws = chronological(combineDraws(locationsData[entry.location], allDataFromLocations[entry.location]));
+    const check = checkSavedTicket({
+        numbers,
+        spotCount: entry.spotCount,
+        betAmount: entry.betAmount,
+        games: entry.draws,
+        startGame,
+        startDate: entry.date
+    }, draws, gameData);
+
+    if (!check.started) {
+        message.textContent = `Game ${startGame} on ${entry.date} is not in the loaded draw data.`;
+        return;
+    }
+    document.getElementById('ledger-payout').value = check.replay.totalWon.toFixed(2);
+    message.textContent = check.remainingGames > 0
+        ? `Only ${check.gamesPlayed} of ${entry.draws} draws have been loaded so far.`
+        : `Payout found from ${check.gamesPlayed} draws.`;
+}
+
+async function addLedgerEntry() {
+    const entry = readLedgerForm();
+    if (!entry) return;
+
+    try {
+        await saveRecord('ledger', entry);
+    } catch (error) {
+        console.error('Error saving ledger entry:', error);
+        document.getElementById('ledger-form-message').textContent = 'Could not save the entry in this browser.';
+        return;
+    }
+    await renderLedger();
+}
+
+async function deleteLedgerEntry(id) {
+    await deleteRecord('ledger', id);
+    await renderLedger();
+}
+
+async function renderLedger() {
+    let entries;
+    try {
+        entries = await listRecords('ledger');
+    } catch (error) {
+        console.error('Error loading the ledger:', error);
+        document.getElementById('ledger-summary').textContent = 'The ledger is unavailable in this browser.';
+        return;
+    }
+
+    const summary = summarizeLedger(entries, ledgerPayoutData);
+    const formatMoney = amount => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const streak = summary.longestLosingStreak;
+
+    document.getElementById('ledger-summary').innerHTML = `
+        <div>Total wagered: ${formatMoney(summary.totalWagered)}</div>
+        <div>Total won: ${formatMoney(summary.totalWon)}</div>
+        <div>Net profit/loss: ${formatMoney(summary.net)} (ROI ${(summary.roi * 100).toFixed(2)}%)</div>
+        <div>Longest losing streak: ${streak.length} entr${streak.length === 1 ? 'y' : 'ies'}${streak.length > 0 ? ` (${streak.from} to ${streak.to})` : ''}</div>`;
+
+    let monthlyHTML = '<div class="panel-header">Monthly Profit/Loss</div>';
+    monthlyHTML += '<table class="analysis-table"><tr><th>Month</th><th>Wagered</th><th>Won</th><th>Net</th></tr>';
+    summary.monthly.forEach(month => {
+        monthlyHTML += `<tr><td>${month.month}</td><td>${formatMoney(month.wagered)}</td><td>${formatMoney(month.won)}</td><td>${formatMoney(month.net)}</td></tr>`;
+    });
+    document.getElementById('ledger-monthly').innerHTML = monthlyHTML + '</table>';
+
+    let gameHTML = '<div class="panel-header">Return by Game Type</div>';
+    gameHTML += '<table class="analysis-table"><tr><th>Game</th><th>Wagered</th><th>Won</th><th>ROI</th><th>Your Return</th><th>Theoretical Return</th></tr>';
+    summary.byGame.forEach(game => {
+        gameHTML += `<tr><td>${kenoGameNames[game.game] || game.game}</td><td>${formatMoney(game.wagered)}</td><td>${formatMoney(game.won)}</td>` +
+            `<td>${(game.roi * 100).toFixed(2)}%</td><td>${(game.returnToPlayer * 100).toFixed(2)}%</td><td>${(game.theoreticalReturn * 100).toFixed(2)}%</td></tr>`;
+    });
+    document.getElementById('ledger-by-game').innerHTML = gameHTML + '</table>';
+
+    // Entries, newest first
+    const entriesDiv = document.getElementById('ledger-entries');
+    entriesDiv.innerHTML = '';
+    const table = document.createElement('table');
+    table.className = 'analysis-table';
+    table.innerHTML = '<tr><th>Date</th><th>Community</th><th>Game</th><th>Spots</th><th>Bet</th><th>Draws</th><th>Payout</th><th>Net</th><th></th></tr>';
+    entries.slice().sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id).forEach(entry => {
+        const row = document.createElement('tr');
+        const community = communities.find(c => c.slug === entry.location);
+        row.innerHTML = `<td>${entry.date}</td><td>${community ? community.name : entry.location}</td>` +
+            `<td>${kenoGameNames[entry.game] || entry.game}</td><td>${entry.spotCount}</td><td>${formatMoney(entry.betAmount)}</td>` +
+            `<td>${entry.draws}</td><td>${formatMoney(entry.payout)}</td><td>${formatMoney(entry.payout - entry.betAmount * entry.draws)}</td>`;
+        const cell = document.createElement('td');
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.onclick = () => deleteLedgerEntry(entry.id);
+        cell.appendChild(deleteButton);
+        row.appendChild(cell);
+        table.appendChild(row);
+    });
+    entriesDiv.appendChild(table);
+
+    // Cumulative balance chart
+    const ctx = document.getElementById('ledger-balance-chart').getContext('2d');
+    if (ledgerChart) ledgerChart.destroy(); // Destroy previous chart
+
+    ledgerChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: summary.balance.map(point => point.date),
+            datasets: [{
+                label: 'Cumulative Balance ($)',
+                data: summary.balance.map(point => point.balance),
+                borderColor: 'rgba(54, 162, 235, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                y: { title: { display: true, text: 'Net ($)' } }
+            }
+        }
+    });
+}
+
+// Download the ledger as CSV or JSON
+async function exportLedger(format) {
+    const entries = (await listRecords('ledger')).sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+    let content;
+
+    if (format === 'csv') {
+        const columns = ['date', 'community', 'game', 'spots', 'betPerDraw', 'draws', 'wagered', 'payout', 'net'];
+        const rows = entries.map(entry => {
+            const wagered = entry.betAmount * entry.draws;
+            return [entry.date, entry.location, kenoGameNames[entry.game] || entry.game, entry.spotCount,
+                entry.betAmount.toFixed(2), entry.draws, wagered.toFixed(2), entry.payout.toFixed(2), (entry.payout - wagered).toFixed(2)]
+                .map(value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value)
+                .join(',');
+        });
+        content = [columns.join(','), ...rows].join('\n');
+    } else {
+        content = JSON.stringify(entries, null, 2);
+    }
+
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `keno-ledger.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
 // FOR TICKET STATS PAGE
 
+let ticketPayoutData = null;
+let ticketPnlChart = null;
+
+// Fill the ticket form's game types the first time the screen is opened
+async function initializeTicketForm() {
+    if (ticketPayoutData) return;
+    ticketPayoutData = await readData('payoutData');
+    if (!ticketPayoutData) return;
+
+    const gameSelect = document.getElementById('ticket-game');
+    Object.keys(ticketPayoutData).forEach(game => {
+        const option = document.createElement('option');
+        option.value = game;
+        option.textContent = kenoGameNames[game] || game;
+        gameSelect.appendChild(option);
+    });
+    gameSelect.value = 'regularKeno';
+    updateTicketSpots();
+}
+
+// Fill a select with the spot counts a game pays on
+function populateSpotOptions(spotSelect, gameData) {
+    spotSelect.innerHTML = '';
+    Object.keys(gameData.payouts).forEach(spot => {
+        const option = document.createElement('option');
+        option.value = spot;
+        option.textContent = spotLabel(gameData, spot);
+        spotSelect.appendChild(option);
+    });
+}
+
+// Match the spot count choices to the selected game type
+function updateTicketSpots() {
+    const gameData = ticketPayoutData[document.getElementById('ticket-game').value];
+    const spotSelect = document.getElementById('ticket-spots');
+    const halfBoard = gameRules(gameData).type === 'halfBoard';
+
+    populateSpotOptions(spotSelect, gameData);
+
+    // Half-board games play a whole half of the board instead of picked numbers
+    spotSelect.style.display = halfBoard ? 'none' : '';
+    document.getElementById('ticket-half').style.display = halfBoard ? '' : 'none';
+    document.getElementById('ticket-numbers-group').style.display = halfBoard ? 'none' : '';
+}
+
+// The ticket form's numbers: the chosen half for half-board games, otherwise exactly spotCount typed numbers
+function readTicketNumbers(gameData, spotCount) {
+    if (gameRules(gameData).type === 'halfBoard') {
+        return halfBoardNumbers(document.getElementById('ticket-half').value);
+    }
+
+    const yourNumbers = parseNumberList(document.getElementById('ticket-numbers').value);
+    if (yourNumbers.length !== parseInt(spotCount, 10)) {
+        alert(`Please enter ${spotCount} different numbers from 1 to 80.`);
+        return null;
+    }
+    return yourNumbers;
+}
+
+// Replay a ticket against every stored game in the date range at the chosen community
 async function analyzeUserTicket() {
     const location = document.getElementById('ticket-location').value;
-    // const date = document.getElementById('ticket-date').value;
-    const date = "05/31/2025";
-    const numberInput = document.getElementById('ticket-numbers').value;
+    const game = document.getElementById('ticket-game').value;
+    const spotCount = document.getElementById('ticket-spots').value;
+    const betAmount = parseFloat(document.getElementById('ticket-bet').value);
+    const from = document.getElementById('ticket-date-from').value || null;
+    const to = document.getElementById('ticket-date-to').value || null;
 
-    if (!location || !date || !numberInput) {
+    if (!ticketPayoutData || !location || !game || !spotCount) {
         alert('Please fill in all fields.');
         return;
     }
+    const gameData = ticketPayoutData[game];
 
-    // Parse your numbers
-    const yourNumbers = numberInput.split(',').map(num => parseInt(num.trim(), 10)).filter(n => !isNaN(n));
-    if (yourNumbers.length === 0) {
-        alert('Please enter valid numbers.');
+    if (!betAmount || betAmount < gameData.denominations.dollar) {
+        alert(`Minimum bet per game is $${gameData.denominations.dollar}.`);
         return;
     }
 
-    // Load the data for the selected location
-    const allGames = await readData('omahaallData');
-    console.log(allGames);
-    console.log(date);
-    if (!allGames || !allGames[date]) {
-        alert('No data available for this location and date.');
+    const yourNumbers = readTicketNumbers(gameData, spotCount);
+    if (!yourNumbers) return;
+
+    // Games for the selected location and dates, oldest first
+    const draws = chronological(selectDraws([], allDataFromLocations[location], { type: 'range', from, to }));
+    if (draws.length === 0) {
+        alert('No data available for this location and date range.');
         return;
     }
 
-    const gamesOnDate = allGames[date];
-    const matchCounts = {};
-
-    // Loop through the games
-    Object.values(gamesOnDate).forEach(numbers => {
-        const matches = numbers.filter(num => yourNumbers.includes(parseInt(num, 10))).length;
-        matchCounts[matches] = (matchCounts[matches] || 0) + 1;
-    });
+    const replay = replayTicket(draws, yourNumbers, gameData, spotCount, betAmount);
 
     // Display the results
+    const formatMoney = amount => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const biggestWin = replay.biggestWin;
     const resultsDiv = document.getElementById('ticket-analysis-results');
-    resultsDiv.innerHTML = '<h3>Match Counts</h3>';
-    Object.keys(matchCounts).sort((a, b) => parseInt(a) - parseInt(b)).forEach(matchCount => {
-        resultsDiv.innerHTML += `<div>${matchCount} hits: ${matchCounts[matchCount]} times</div>`;
+    resultsDiv.innerHTML = `
+        <h3>Replay of ${replay.games.length} games (${draws[0].date} to ${draws[draws.length - 1].date})</h3>
+        <div>Total wagered: ${formatMoney(replay.totalWagered)}</div>
+        <div>Total won: ${formatMoney(replay.totalWon)}</div>
+        <div>Net profit/loss: ${formatMoney(replay.net)}</div>
+        <div>Biggest win: ${biggestWin ? `${formatMoney(biggestWin.payout)} on ${biggestWin.date} game ${biggestWin.gameNumber} (hit ${biggestWin.matches})` : 'none'}</div>
+        <h3>Match Counts</h3>`;
+    const matchKeys = Object.keys(replay.hitCounts).sort((a, b) => parseInt(a) - parseInt(b));
+    matchKeys.forEach(matchCount => {
+        resultsDiv.innerHTML += `<div>${matchCount} hits: ${replay.hitCounts[matchCount]} times</div>`;
+    });
+
+    displayTicketHitLog(replay);
+
+    // Draw the cumulative profit/loss
+    const pnlCtx = document.getElementById('ticket-pnl-chart').getContext('2d');
+    if (ticketPnlChart) ticketPnlChart.destroy(); // Destroy previous chart
+
+    ticketPnlChart = new Chart(pnlCtx, {
+        type: 'line',
+        data: {
+            labels: replay.games.map(game => `${game.date} #${game.gameNumber}`),
+            datasets: [{
+                label: 'Cumulative Profit/Loss ($)',
+                data: replay.games.map(game => game.net),
+                borderColor: 'rgba(54, 162, 235, 1)',
+                pointRadius: 0,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                x: {
+                    ticks: { maxTicksLimit: 8 },
+                    title: {
+                        display: true,
+                        text: 'Game'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Net ($)'
+                    }
+                }
+            }
+        }
     });
 
     // Draw a bar chart
@@ -1610,10 +2534,10 @@ async function analyzeUserTicket() {
     window.ticketChart = new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: Object.keys(matchCounts).sort((a, b) => parseInt(a) - parseInt(b)),
+            labels: matchKeys,
             datasets: [{
                 label: 'Match Count Frequency',
-                data: Object.keys(matchCounts).sort((a, b) => parseInt(a) - parseInt(b)).map(k => matchCounts[k]),
+                data: matchKeys.map(k => replay.hitCounts[k]),
                 backgroundColor: 'rgba(255, 99, 132, 0.5)',
                 borderColor: 'rgba(255, 99, 132, 1)',
                 borderWidth: 1
@@ -1640,4 +2564,146 @@ async function analyzeUserTicket() {
     });
 }
 
+// Per-game hit log, newest first; long replays list only the most recent games
+function displayTicketHitLog(replay) {
+    const container = document.getElementById('ticket-hit-log');
+    const listedGames = replay.games.slice(-MAX_LISTED_GAMES).reverse();
+
+    let html = `<div class="panel-header">Hit Log (${listedGames.length === replay.games.length ? 'all' : `latest ${listedGames.length} of`} ${replay.games.length} games)</div>`;
+    html += '<table class="analysis-table"><tr><th>Date</th><th>Game</th><th>Hits</th><th>Payout</th><th>Running Net</th></tr>';
+    listedGames.forEach(game => {
+        html += `<tr><td>${game.date}</td><td>${game.gameNumber}</td><td>${game.matches}</td>` +
+            `<td>$${game.payout.toFixed(2)}</td><td>${game.net < 0 ? '-' : ''}$${Math.abs(game.net).toFixed(2)}</td></tr>`;
+    });
+    html += '</table>';
+    container.innerHTML = html;
+}
+
+// FOR SAVED TICKETS
+
+// Save the ticket form as a named ticket in the browser and check it straight away
+async function saveCurrentTicket() {
+    await initializeTicketForm();
+    const location = document.getElementById('ticket-location').value;
+    const game = document.getElementById('ticket-game').value;
+    const spotCount = document.getElementById('ticket-spots').value;
+    const betAmount = parseFloat(document.getElementById('ticket-bet').value);
+    const name = document.getElementById('ticket-name').value.trim();
+    const startGame = parseInt(document.getElementById('ticket-start-game').value, 10);
+    const games = parseInt(document.getElementById('ticket-games').value, 10);
+
+    if (!ticketPayoutData || !location || !game || !spotCount || !name || !startGame || !games || games < 1) {
+        alert('Please name the ticket and fill in its start game and number of games.');
+        return;
+    }
+    const gameData = ticketPayoutData[game];
+    if (!betAmount || betAmount < gameData.denominations.dollar) {
+        alert(`Minimum bet per game is $${gameData.denominations.dollar}.`);
+        return;
+    }
+    const numbers = readTicketNumbers(gameData, spotCount);
+    if (!numbers) return;
+
+    try {
+        await saveRecord('tickets', {
+            name,
+            location,
+            game,
+            spotCount,
+            numbers,
+            betAmount,
+            games,
+            startGame,
+            startDate: document.getElementById('ticket-start-date').value || null,
+            savedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving ticket:', error);
+        alert('Could not save the ticket in this browser.');
+        return;
+    }
+    await checkSavedTickets();
+}
+
+async function deleteSavedTicket(id) {
+    await deleteRecord('tickets', id);
+    await checkSavedTickets();
+}
+
+// Check every saved ticket against the loaded draws for its community
+async function checkSavedTickets() {
+    const container = document.getElementById('ticket-watchlist');
+    let tickets;
+    try {
+        tickets = await listRecords('tickets');
+    } catch (error) {
+        console.error('Error loading saved tickets:', error);
+        container.textContent = 'Saved tickets are unavailable in this browser.';
+        return;
+    }
+
+    if (tickets.length === 0) {
+        container.innerHTML = '<p>No saved tickets yet.</p>';
+        return;
+    }
+
+    const payoutData = ticketPayoutData || await readData('payoutData');
+    container.innerHTML = '';
+
+    tickets.forEach(ticket => {
+        const gameData = payoutData && payoutData[ticket.game];
+        const community = communities.find(c => c.slug === ticket.location);
+        const section = document.createElement('div');
+        section.className = 'saved-ticket';
+
+        const header = document.createElement('h4');
+        header.textContent = `${ticket.name} - ${community ? community.name : ticket.location}, ` +
+            `${kenoGameNames[ticket.game] || ticket.game} ${gameData ? spotLabel(gameData, ticket.spotCount) : ticket.spotCount}, ` +
+            `$${ticket.betAmount.toFixed(2)} x ${ticket.games} game${ticket.games === 1 ? '' : 's'} from game ${ticket.startGame}` +
+            (ticket.startDate ? ` on ${ticket.startDate}` : '');
+        section.appendChild(header);
+
+        const numbers = document.createElement('div');
+        numbers.textContent = `Numbers: ${ticket.numbers.join(', ')}`;
+        section.appendChild(numbers);
+
+        const status = document.createElement('div');
+        section.appendChild(status);
+
+        if (!gameData) {
+            status.textContent = 'This game type is no longer in the payout data.';
+        } else {
+            const draws = chronological(combineDraws(locationsData[ticket.location], allDataFromLocations[ticket.location]));
+            const check = checkSavedTicket(ticket, draws, gameData);
+            const cost = ticket.betAmount * ticket.games;
+
+            if (!check.started) {
+                status.textContent = `Waiting for game ${ticket.startGame}. ${ticket.games} game${ticket.games === 1 ? '' : 's'} remaining.`;
+            } else {
+                status.textContent = `Played ${check.gamesPlayed} of ${ticket.games} games` +
+                    `${check.remainingGames > 0 ? `, ${check.remainingGames} remaining` : ''}. ` +
+                    `Won $${check.replay.totalWon.toFixed(2)} on a $${cost.toFixed(2)} ticket.`;
+
+                let html = '<table class="analysis-table"><tr><th>Date</th><th>Game</th><th>Catches</th><th>Won</th></tr>';
+                check.replay.games.forEach(game => {
+                    html += `<tr><td>${game.date || 'Today'}</td><td>${game.gameNumber}</td><td>${game.matches}</td><td>$${game.payout.toFixed(2)}</td></tr>`;
+                });
+                html += '</table>';
+                const log = document.createElement('div');
+                log.className = 'scroll-table';
+                log.innerHTML = html;
+                section.appendChild(log);
+            }
+        }
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.onclick = () => deleteSavedTicket(ticket.id);
+        section.appendChild(deleteButton);
+
+        container.appendChild(section);
+    });
+}
+
 
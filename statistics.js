@@ -0,0 +1,414 @@
+// Probability and statistics helpers shared by the analyses, payout calculator and backtests.
+// Nothing in this file touches the DOM.
+
+// Function to calculate combinations (n choose k)
+function combinations(n, k) {
+    if (k < 0 || k > n) return 0;
+    if (k === 0 || k === n) return 1;
+
+    let result = 1;
+    for (let i = 1; i <= Math.min(k, n - k); i++) {
+        result *= (n - i + 1) / i;
+    }
+    return result;
+}
+
+// function to calculate probability of hitting single game
+function probabilityOfHitting(matches, spotCount) {
+    // Total numbers in keno game
+    const totalNumbers = 80;
+    // Numbers drawn each round
+    const numbersDrawn = 20;
+
+    // Handle edge cases
+    if (matches > spotCount) return 0;
+    if (matches > numbersDrawn) return 0;
+    if (spotCount > totalNumbers) return 0;
+
+    // Calculate probability using hypergeometric distribution
+    // P(X = matches) = [C(numbersDrawn, matches) * C(totalNumbers - numbersDrawn, spotCount - matches)] / C(totalNumbers, spotCount)
+    const numerator = combinations(numbersDrawn, matches) *
+        combinations(totalNumbers - numbersDrawn, spotCount - matches);
+    const denominator = combinations(totalNumbers, spotCount);
+
+    if (denominator === 0) return 0;
+    return numerator / denominator;
+}
+
+// Probability that exactly `matches` of the 20 drawn numbers land in a fixed block of sectionSize numbers,
+// e.g. the 40-number top, bottom, left or right half of the board
+function probabilityInSection(matches, sectionSize) {
+    const totalNumbers = 80;
+    const numbersDrawn = 20;
+
+    if (matches > numbersDrawn || matches > sectionSize) return 0;
+    if (numbersDrawn - matches > totalNumbers - sectionSize) return 0;
+
+    // P(X = matches) = [C(sectionSize, matches) * C(totalNumbers - sectionSize, numbersDrawn - matches)] / C(totalNumbers, numbersDrawn)
+    return combinations(sectionSize, matches) *
+        combinations(totalNumbers - sectionSize, numbersDrawn - matches) /
+        combinations(totalNumbers, numbersDrawn);
+}
+
+// Probability that exactly `matches` of `picked` numbers drawn from `total` are among `marked` given numbers
+function hypergeometricProbability(matches, total, marked, picked) {
+    return combinations(marked, matches) * combinations(total - marked, picked - matches) / combinations(total, picked);
+}
+
+function probabilityAcrossGames(matches, spotCount, numGames) {
+    const singleGameProb = probabilityOfHitting(matches, spotCount);
+
+    // Calculate probability of NOT hitting in any game
+    const probNone = Math.pow(1 - singleGameProb, numGames);
+
+    // Return probability of hitting at least once
+    return 1 - probNone;
+}
+
+// Mean and variance of a discrete distribution given as an array of probabilities indexed by value
+function distributionMoments(probabilities) {
+    let mean = 0;
+    let secondMoment = 0;
+    probabilities.forEach((p, value) => {
+        mean += p * value;
+        secondMoment += p * value * value;
+    });
+    return { mean, variance: secondMoment - mean * mean };
+}
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, accurate to ~1e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Natural log of the gamma function (Lanczos approximation)
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+        series += c / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized upper incomplete gamma function Q(a, x)
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+
+    if (x < a + 1) {
+        // Series representation of P(a, x)
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 1000; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+
+    // Continued fraction representation of Q(a, x)
+    let b = x + 1 - a;
+    let c = 1 / 1e-300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 1000; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+// Probability that a chi-square variable with df degrees of freedom is at least the statistic
+function chiSquarePValue(statistic, df) {
+    if (df <= 0) return 1;
+    return gammaQ(df / 2, statistic / 2);
+}
+
+// Chi-square goodness-of-fit test of observed counts against expected counts.
+// Neighbouring bins are pooled until each has an expected count of at least minExpected.
+function chiSquareTest(observed, expected, minExpected = 5) {
+    const pooledObserved = [];
+    const pooledExpected = [];
+    let observedBin = 0;
+    let expectedBin = 0;
+
+    observed.forEach((count, index) => {
+        observedBin += count;
+        expectedBin += expected[index];
+        if (expectedBin >= minExpected) {
+            pooledObserved.push(observedBin);
+            pooledExpected.push(expectedBin);
+            observedBin = 0;
+            expectedBin = 0;
+        }
+    });
+
+    // Fold any leftover tail into the last bin
+    if (expectedBin > 0 || observedBin > 0) {
+        if (pooledExpected.length > 0) {
+            pooledObserved[pooledObserved.length - 1] += observedBin;
+            pooledExpected[pooledExpected.length - 1] += expectedBin;
+        } else {
+            pooledObserved.push(observedBin);
+            pooledExpected.push(expectedBin);
+        }
+    }
+
+    const statistic = pooledObserved.reduce((sum, count, index) => {
+        const diff = count - pooledExpected[index];
+        return sum + (pooledExpected[index] > 0 ? diff * diff / pooledExpected[index] : 0);
+    }, 0);
+    const df = pooledObserved.length - 1;
+
+    return { statistic, df, pValue: chiSquarePValue(statistic, df) };
+}
+
+// Format a p-value for display
+function formatPValue(pValue) {
+    if (pValue < 0.0001) return '< 0.0001';
+    return pValue.toFixed(4);
+}
+
+// Two-sided p-value for a standard normal z-score
+function twoSidedPValue(z) {
+    return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+// Wilson score interval for a proportion of successes out of trials (95% by default)
+function wilsonInterval(successes, trials, z = 1.96) {
+    if (trials === 0) return { low: 0, high: 1 };
+    const rate = successes / trials;
+    const denominator = 1 + z * z / trials;
+    const center = (rate + z * z / (2 * trials)) / denominator;
+    const margin = z * Math.sqrt(rate * (1 - rate) / trials + z * z / (4 * trials * trials)) / denominator;
+    return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+// Holm-Bonferroni adjusted p-values, returned in the same order as the input
+function holmAdjust(pValues) {
+    const m = pValues.length;
+    const adjusted = new Array(m);
+    let runningMax = 0;
+
+    pValues
+        .map((pValue, index) => ({ pValue, index }))
+        .sort((a, b) => a.pValue - b.pValue)
+        .forEach(({ pValue, index }, rank) => {
+            runningMax = Math.max(runningMax, Math.min(1, (m - rank) * pValue));
+            adjusted[index] = runningMax;
+        });
+
+    return adjusted;
+}
+
+// Wald-Wolfowitz runs test on a 0/1 sequence (two-sided)
+function runsTest(sequence) {
+    const n = sequence.length;
+    const ones = sequence.reduce((sum, value) => sum + value, 0);
+    const zeros = n - ones;
+    if (ones === 0 || zeros === 0 || n < 2) return { runs: n > 0 ? 1 : 0, z: 0, pValue: 1 };
+
+    let runs = 1;
+    for (let i = 1; i < n; i++) {
+        if (sequence[i] !== sequence[i - 1]) runs++;
+    }
+
+    const product = 2 * ones * zeros;
+    const mean = product / n + 1;
+    const variance = product * (product - n) / (n * n * (n - 1));
+    const z = variance > 0 ? (runs - mean) / Math.sqrt(variance) : 0;
+
+    return { runs, z, pValue: twoSidedPValue(z) };
+}
+
+// Lag-1 autocorrelation of a sequence, with a two-sided p-value from its ~N(0, 1/n) null distribution
+function serialCorrelation(sequence) {
+    const n = sequence.length;
+    if (n < 3) return { correlation: 0, z: 0, pValue: 1 };
+
+    const mean = sequence.reduce((sum, value) => sum + value, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+        const deviation = sequence[i] - mean;
+        denominator += deviation * deviation;
+        if (i > 0) numerator += deviation * (sequence[i - 1] - mean);
+    }
+
+    const correlation = denominator > 0 ? numerator / denominator : 0;
+    const z = correlation * Math.sqrt(n);
+    return { correlation, z, pValue: twoSidedPValue(z) };
+}
+
+// Exact distribution of the sum of `picked` distinct numbers drawn from 1..total.
+// Returns probabilities indexed by sum (entries below the smallest possible sum are 0).
+function subsetSumDistribution(picked = 20, total = 80) {
+    const maxSum = picked * (2 * total - picked + 1) / 2;
+    // ways[k][s] = number of k-number subsets of the numbers seen so far that add up to s
+    const ways = Array.from({ length: picked + 1 }, () => new Float64Array(maxSum + 1));
+    ways[0][0] = 1;
+
+    for (let number = 1; number <= total; number++) {
+        for (let k = Math.min(number, picked); k >= 1; k--) {
+            const previous = ways[k - 1];
+            const current = ways[k];
+            for (let s = maxSum; s >= number; s--) {
+                if (previous[s - number] > 0) current[s] += previous[s - number];
+            }
+        }
+    }
+
+    const totalSubsets = combinations(total, picked);
+    return Array.from(ways[picked], count => count / totalSubsets);
+}
+
+// Exact distribution of the spread (highest minus lowest) of `picked` distinct numbers from 1..total, indexed by
+// spread. A spread of d fits in total - d places, with picked - 2 numbers anywhere strictly between the ends.
+function subsetSpreadDistribution(picked = 20, total = 80) {
+    const totalSubsets = combinations(total, picked);
+    return Array.from({ length: total }, (_, spread) => {
+        if (picked === 1) return spread === 0 ? 1 : 0;
+        return (total - spread) * combinations(spread - 1, picked - 2) / totalSubsets;
+    });
+}
+
+// Exact distribution of the number of runs of consecutive numbers (two or more in a row) among `picked` distinct
+// numbers from 1..total, indexed by the number of runs
+function subsetRunsDistribution(picked = 20, total = 80) {
+    const maxRuns = Math.floor(picked / 2);
+    // ways[state][k][r]: subsets of the numbers seen so far with k picked and r runs, where state is whether the
+    // last number is unpicked (0), ends a single picked number (1) or ends a run (2)
+    const empty = () => Array.from({ length: picked + 1 }, () => new Float64Array(maxRuns + 1));
+    let ways = [empty(), empty(), empty()];
+    ways[0][0][0] = 1;
+
+    for (let number = 1; number <= total; number++) {
+        const next = [empty(), empty(), empty()];
+        for (let state = 0; state < 3; state++) {
+            for (let k = 0; k <= picked; k++) {
+                for (let r = 0; r <= maxRuns; r++) {
+                    const count = ways[state][k][r];
+                    if (count === 0) continue;
+                    next[0][k][r] += count;
+                    if (k === picked) continue;
+                    if (state === 0) next[1][k + 1][r] += count;
+                    else if (state === 1) next[2][k + 1][r + 1] += count;
+                    else next[2][k + 1][r] += count;
+                }
+            }
+        }
+        ways = next;
+    }
+
+    const totalSubsets = combinations(total, picked);
+    return Array.from({ length: maxRuns + 1 }, (_, r) => (ways[0][picked][r] + ways[1][picked][r] + ways[2][picked][r]) / totalSubsets);
+}
+
+// Smallest and largest values (indexes) of a discrete distribution that leave at most (1 - band) / 2 of the
+// probability outside on each side, e.g. band 0.5 for the middle 50%
+function centralRange(probabilities, band) {
+    const tail = (1 - band) / 2;
+    let cumulative = 0;
+    let low = null;
+    let high = null;
+    probabilities.forEach((probability, value) => {
+        cumulative += probability;
+        if (low === null && cumulative > tail) low = value;
+        if (high === null && cumulative >= 1 - tail - 1e-12) high = value;
+    });
+    return { low, high: high === null ? probabilities.length - 1 : high };
+}
+
+// Seedable pseudo-random number generator (mulberry32) returning floats in [0, 1).
+// String seeds are hashed so any text can be used to reproduce a run.
+function createSeededRandom(seed) {
+    let state = 0;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        state = Math.imul(state ^ text.charCodeAt(i), 2654435761);
+    }
+    state = state >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Value at a percentile (0-100) of an already sorted array
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return 0;
+    const index = Math.min(sortedValues.length - 1, Math.max(0, Math.round(p / 100 * (sortedValues.length - 1))));
+    return sortedValues[index];
+}
+
+// Equal-width histogram of a list of values
+function histogram(values, binCount = 30) {
+    if (values.length === 0) return { edges: [], counts: [] };
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+    const width = max > min ? (max - min) / binCount : 1;
+    const counts = new Array(binCount).fill(0);
+    values.forEach(value => {
+        counts[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+    });
+
+    return {
+        edges: counts.map((_, bin) => min + bin * width),
+        width,
+        counts
+    };
+}
+
+// Node (train.js) loads this file with require
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        combinations,
+        probabilityOfHitting,
+        probabilityInSection,
+        hypergeometricProbability,
+        probabilityAcrossGames,
+        distributionMoments,
+        normalCdf,
+        chiSquarePValue,
+        chiSquareTest,
+        formatPValue,
+        twoSidedPValue,
+        wilsonInterval,
+        holmAdjust,
+        runsTest,
+        serialCorrelation,
+        subsetSumDistribution,
+        subsetSpreadDistribution,
+        subsetRunsDistribution,
+        centralRange,
+        createSeededRandom,
+        percentile,
+        histogram
+    };
+}
@@ -0,0 +1,56 @@
+// IndexedDB persistence for things the user saves in the browser (saved tickets, the play ledger, model metadata, ...).
+// Every object store keys its records by an auto-incremented `id`. Add a store by listing it in OBJECT_STORES
+// and bumping DATABASE_VERSION; the upgrade creates whichever stores are missing.
+
+const DATABASE_NAME = 'kenoNumberPicker';
+const DATABASE_VERSION = 3;
+const OBJECT_STORES = ['tickets', 'ledger', 'models'];
+
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                OBJECT_STORES.forEach(storeName => {
+                    if (!database.objectStoreNames.contains(storeName)) {
+                        database.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                databasePromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+// Run one request against a store and resolve with its result
+async function storeRequest(storeName, mode, makeRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Insert or update a record, resolving with its id
+function saveRecord(storeName, record) {
+    return storeRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+function listRecords(storeName) {
+    return storeRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function deleteRecord(storeName, id) {
+    return storeRequest(storeName, 'readwrite', store => store.delete(id));
+}
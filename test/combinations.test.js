@@ -0,0 +1,80 @@
+// The combination miner in combinations.js against a brute-force count of every combination of every game
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSeededRandom } = require('../statistics.js');
+const { comboKey, mineCombinations } = require('../combinations.js');
+
+// Fair 20-number draws, most recent first, with `planted` added to the given games
+function randomDraws(games, seed, planted = [], plantedGames = []) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: games }, (_, game) => {
+        const numbers = new Set(plantedGames.includes(game) ? planted : []);
+        while (numbers.size < 20) numbers.add(1 + Math.floor(random() * 80));
+        return { date: null, gameNumber: games - game, numbers: [...numbers] };
+    });
+}
+
+// Count of every size-k combination drawn, keyed by comboKey
+function bruteForceCounts(draws, size) {
+    const counts = new Map();
+    draws.forEach(draw => {
+        const numbers = draw.numbers.slice().sort((a, b) => a - b);
+        const walk = (start, combo) => {
+            if (combo.length === size) {
+                const key = comboKey(combo);
+                counts.set(key, (counts.get(key) || 0) + 1);
+                return;
+            }
+            for (let i = start; i < numbers.length; i++) walk(i + 1, [...combo, numbers[i]]);
+        };
+        walk(0, []);
+    });
+    return counts;
+}
+
+test('mineCombinations finds the most drawn combinations of each size with their exact counts', () => {
+    const draws = randomDraws(40, 'miner', [5, 17, 29, 44, 63], [2, 5, 9, 14, 21, 30]);
+    const topK = 10;
+    const mined = mineCombinations(draws, { sizes: [2, 3, 4, 5], topK });
+
+    [2, 3, 4, 5].forEach(size => {
+        const counts = bruteForceCounts(draws, size);
+        const expected = [...counts.values()].filter(count => count >= 2).sort((a, b) => b - a).slice(0, topK);
+        const { combos } = mined[size];
+
+        // Ties at the cut may list different combinations, but never different counts
+        assert.deepEqual(combos.map(combo => combo.count), expected, `size ${size} counts`);
+        combos.forEach(combo => {
+            assert.equal(combo.numbers.length, size);
+            assert.deepEqual(combo.numbers, combo.numbers.slice().sort((a, b) => a - b));
+            assert.equal(counts.get(comboKey(combo.numbers)), combo.count, `${combo.numbers.join(', ')} count`);
+        });
+    });
+
+    assert.deepEqual(mined[5].combos[0].numbers, [5, 17, 29, 44, 63]);
+    assert.equal(mined[5].combos[0].count, 6);
+});
+
+test('mineCombinations leaves out combinations drawn fewer than minSupport times', () => {
+    const draws = randomDraws(30, 'support');
+    const mined = mineCombinations(draws, { sizes: [3], topK: 1000, minSupport: 3 });
+    const counts = bruteForceCounts(draws, 3);
+    const expected = [...counts.values()].filter(count => count >= 3).length;
+
+    assert.equal(mined[3].combos.length, expected);
+    mined[3].combos.forEach(combo => assert.ok(combo.count >= 3));
+});
+
+test('mineCombinations sums the weights of the games that drew each combination', () => {
+    const draws = randomDraws(25, 'weights', [8, 16, 24], [0, 3, 11, 24]);
+    const gameWeights = draws.map((_, game) => game + 1);
+    const mined = mineCombinations(draws, { sizes: [3], topK: 5, gameWeights });
+    const combo = mined[3].combos.find(found => found.numbers.join() === '8,16,24');
+
+    const drawing = draws
+        .map((draw, game) => ([8, 16, 24].every(number => draw.numbers.includes(number)) ? gameWeights[game] : 0))
+        .reduce((sum, weight) => sum + weight, 0);
+    assert.ok(combo);
+    assert.equal(combo.weight, drawing);
+});
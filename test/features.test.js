@@ -0,0 +1,66 @@
+// Per-number features from features.js only ever see the games before the one they describe
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// features.js uses boardPosition from analysisEngine.js as a global, as the page provides it
+Object.assign(global, require('../analysisEngine.js'));
+const { createSeededRandom } = require('../statistics.js');
+const { NUMBER_FEATURES, buildNumberFeatures, featuresBefore } = require('../features.js');
+
+const ALL_FEATURES = Object.keys(NUMBER_FEATURES);
+
+// Fair 20-number draws, most recent first
+function randomDraws(games, seed) {
+    const random = createSeededRandom(seed);
+    return Array.from({ length: games }, (_, game) => {
+        const numbers = new Set();
+        while (numbers.size < 20) numbers.add(1 + Math.floor(random() * 80));
+        return { date: null, gameNumber: games - game, numbers: [...numbers] };
+    });
+}
+
+test('a game\'s features do not change when that game or any later one is redrawn', () => {
+    const draws = randomDraws(260, 'leakage');
+    const features = buildNumberFeatures(draws, ALL_FEATURES);
+    const redrawn = randomDraws(260, 'other draws');
+
+    [0, 1, 7, 50, 210].forEach(index => {
+        // The scored game and everything after it replaced, everything before it kept
+        const altered = [...redrawn.slice(0, index + 1), ...draws.slice(index + 1)];
+        const alteredFeatures = buildNumberFeatures(altered, ALL_FEATURES);
+        assert.deepEqual(featuresBefore(alteredFeatures, index), featuresBefore(features, index), `game ${index}`);
+    });
+});
+
+test('redrawing an earlier game changes the features of the games after it', () => {
+    const draws = randomDraws(60, 'sensitivity');
+    const features = buildNumberFeatures(draws, ALL_FEATURES);
+    const altered = [...draws.slice(0, 11), ...randomDraws(1, 'replacement'), ...draws.slice(12)];
+
+    assert.notDeepEqual(featuresBefore(buildNumberFeatures(altered, ALL_FEATURES), 10), featuresBefore(features, 10));
+});
+
+test('features hold the gap and recent frequency of the games before the described one', () => {
+    const draws = randomDraws(40, 'values');
+    const names = ['gap', 'frequency10'];
+    const features = buildNumberFeatures(draws, names);
+    const index = 5;
+    const values = featuresBefore(features, index);
+
+    for (let number = 1; number <= 80; number++) {
+        const before = draws.slice(index + 1);
+        const gap = before.findIndex(draw => draw.numbers.includes(number));
+        const drawnInLast10 = before.slice(0, 10).filter(draw => draw.numbers.includes(number)).length;
+
+        // Stored as 32-bit floats
+        assert.ok(Math.abs(values[(number - 1) * 2] - (gap === -1 ? 40 : Math.min(gap, 40)) / 40) < 1e-6, `gap of ${number}`);
+        assert.ok(Math.abs(values[(number - 1) * 2 + 1] - drawnInLast10 / 10) < 1e-6, `frequency10 of ${number}`);
+    }
+});
+
+test('the next game\'s features are the same whether built for every game or only the latest', () => {
+    const draws = randomDraws(120, 'latest');
+    const all = featuresBefore(buildNumberFeatures(draws, ALL_FEATURES), -1);
+    const latest = featuresBefore(buildNumberFeatures(draws, ALL_FEATURES, true), -1);
+    assert.deepEqual(latest, all);
+});
@@ -0,0 +1,47 @@
+// The chronological split in models.js: held-out, validation and training examples never overlap in time
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// models.js uses TF.js as the global `tf`, as train.js sets it
+global.tf = require('@tensorflow/tfjs');
+const { chronologicalSplit, disposeSplit } = require('../models.js');
+
+// Examples most recent first, each input and label holding its own index
+function indexedExamples(count) {
+    const indices = Array.from({ length: count }, (_, index) => [index]);
+    return { inputs: tf.tensor2d(indices), labels: tf.tensor2d(indices) };
+}
+
+const indicesOf = tensor => tensor.arraySync().map(row => row[0]);
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+test('chronologicalSplit holds out the newest games and validates on the games just before them', () => {
+    const { inputs, labels } = indexedExamples(60);
+    const split = chronologicalSplit(inputs, labels, 8);
+
+    assert.equal(split.holdout, 8);
+    assert.equal(split.validation, 8);
+    assert.deepEqual(indicesOf(split.holdoutInputs), range(0, 8));
+    assert.deepEqual(indicesOf(split.holdoutLabels), range(0, 8));
+    assert.deepEqual(indicesOf(split.valInputs), range(8, 16));
+    assert.deepEqual(indicesOf(split.valLabels), range(8, 16));
+    assert.deepEqual(indicesOf(split.trainInputs), range(16, 60));
+    assert.deepEqual(indicesOf(split.trainLabels), range(16, 60));
+
+    // The unsplit tensors are disposed, and disposeSplit frees the rest
+    assert.ok(inputs.isDisposed && labels.isDisposed);
+    disposeSplit(split);
+    ['holdoutInputs', 'holdoutLabels', 'valInputs', 'valLabels', 'trainInputs', 'trainLabels']
+        .forEach(name => assert.ok(split[name].isDisposed, `${name} disposed`));
+});
+
+test('chronologicalSplit holds out at most a fifth of a short history for each of evaluation and validation', () => {
+    const { inputs, labels } = indexedExamples(23);
+    const split = chronologicalSplit(inputs, labels, 500);
+
+    assert.equal(split.holdout, 4);
+    assert.deepEqual(indicesOf(split.holdoutInputs), range(0, 4));
+    assert.deepEqual(indicesOf(split.valInputs), range(4, 8));
+    assert.deepEqual(indicesOf(split.trainInputs), range(8, 23));
+    disposeSplit(split);
+});
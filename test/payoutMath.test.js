@@ -0,0 +1,56 @@
+// Expected returns and saved-ticket checks from payoutMath.js, against the bundled payout data
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// payoutMath.js uses the statistics and date helpers as globals, as the page provides them
+Object.assign(global, require('../statistics.js'), require('../analysisEngine.js'));
+const { betStatistics, outcomeDistribution, checkSavedTicket } = require('../payoutMath.js');
+const payoutData = require('../data/payoutData.json');
+
+test('Top/Bottom returns 0.7232 per dollar', () => {
+    const { expectedReturn, houseEdge } = betStatistics(payoutData.topBottom, '20');
+    assert.equal(expectedReturn.toFixed(4), '0.7232');
+    assert.equal(houseEdge.toFixed(4), '0.2768');
+});
+
+test('a 1-spot Regular Keno ticket returns 0.75 per dollar', () => {
+    const { expectedReturn, hitFrequency } = betStatistics(payoutData.regularKeno, '1');
+    assert.ok(Math.abs(expectedReturn - 0.75) < 1e-12);
+    assert.ok(Math.abs(hitFrequency - 0.25) < 1e-12);
+});
+
+test('every outcome distribution in the payout data sums to 1', () => {
+    Object.entries(payoutData).forEach(([game, gameData]) => {
+        Object.keys(gameData.payouts).forEach(spotCount => {
+            const total = outcomeDistribution(gameData, spotCount).reduce((sum, { probability }) => sum + probability, 0);
+            assert.ok(Math.abs(total - 1) < 1e-12, `${game} ${spotCount} sums to ${total}`);
+        });
+    });
+});
+
+test('checkSavedTicket starts on the game number drawn on the ticket\'s start date', () => {
+    const numbers = Array.from({ length: 20 }, (_, i) => i + 1);
+    // Oldest first; game 5 was drawn on both days
+    const draws = [
+        { date: '05/01/2025', gameNumber: 5, numbers },
+        { date: '05/01/2025', gameNumber: 6, numbers },
+        { date: '05/02/2025', gameNumber: 5, numbers },
+        { date: '05/02/2025', gameNumber: 6, numbers },
+        { date: null, gameNumber: 7, numbers }
+    ];
+    const ticket = { numbers: [1], spotCount: '1', betAmount: 1, startGame: 5, games: 3 };
+
+    const onFirstDay = checkSavedTicket({ ...ticket, startDate: '2025-05-01' }, draws, payoutData.regularKeno);
+    assert.equal(onFirstDay.started, true);
+    assert.deepEqual(onFirstDay.replay.games.map(game => game.date), ['05/01/2025', '05/01/2025', '05/02/2025']);
+    assert.equal(onFirstDay.remainingGames, 0);
+
+    // Without a date the most recent game 5 is used
+    const latest = checkSavedTicket({ ...ticket, startDate: null }, draws, payoutData.regularKeno);
+    assert.equal(latest.gamesPlayed, 3);
+    assert.deepEqual(latest.replay.games.map(game => game.gameNumber), [5, 6, 7]);
+
+    const unplayed = checkSavedTicket({ ...ticket, startDate: '2025-05-03' }, draws, payoutData.regularKeno);
+    assert.equal(unplayed.started, false);
+    assert.equal(unplayed.remainingGames, 3);
+});
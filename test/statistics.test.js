@@ -0,0 +1,42 @@
+// Known values of the probability helpers in statistics.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { combinations, probabilityOfHitting, probabilityInSection, holmAdjust } = require('../statistics.js');
+
+test('combinations counts the ways to choose k of n', () => {
+    // Exactly 3535316142212174320, to floating-point precision
+    assert.ok(Math.abs(combinations(80, 20) / 3535316142212174320 - 1) < 1e-12);
+    assert.equal(combinations(10, 3), 120);
+    assert.equal(combinations(5, 0), 1);
+    assert.equal(combinations(5, 6), 0);
+});
+
+test('probabilityOfHitting sums to 1 over every match count for each spot count', () => {
+    for (let spots = 1; spots <= 20; spots++) {
+        let total = 0;
+        for (let matches = 0; matches <= spots; matches++) total += probabilityOfHitting(matches, spots);
+        assert.ok(Math.abs(total - 1) < 1e-12, `${spots} spots sum to ${total}`);
+    }
+});
+
+test('probabilityOfHitting matches the hypergeometric values', () => {
+    assert.equal(probabilityOfHitting(1, 1), 0.25);
+    // C(20, 2) / C(80, 2)
+    assert.ok(Math.abs(probabilityOfHitting(2, 2) - 190 / 3160) < 1e-15);
+    assert.equal(probabilityOfHitting(3, 2), 0);
+});
+
+test('probabilityInSection sums to 1 over the 20 drawn numbers', () => {
+    let total = 0;
+    for (let matches = 0; matches <= 20; matches++) total += probabilityInSection(matches, 40);
+    assert.ok(Math.abs(total - 1) < 1e-12);
+});
+
+test('holmAdjust scales sorted p-values by the tests left and keeps them monotone', () => {
+    const adjusted = holmAdjust([0.01, 0.04, 0.03, 0.5]);
+    [0.04, 0.09, 0.09, 0.5].forEach((expected, index) => {
+        assert.ok(Math.abs(adjusted[index] - expected) < 1e-12, `p-value ${index} adjusted to ${adjusted[index]}`);
+    });
+    assert.deepEqual(holmAdjust([0.6, 0.9]), [1, 1]);
+});
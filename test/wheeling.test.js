@@ -0,0 +1,65 @@
+// Wheels from wheeling.js keep their guarantee, checked by brute force over every m-subset of the pool
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// wheeling.js uses the payout helpers as globals, as the page provides them
+Object.assign(global, require('../statistics.js'), require('../analysisEngine.js'));
+Object.assign(global, require('../payoutMath.js'));
+const { generateWheel, schonheimBound, wheelExposure } = require('../wheeling.js');
+const payoutData = require('../data/payoutData.json');
+
+// Every size-k subset of the values
+function subsets(values, k) {
+    if (k === 0) return [[]];
+    if (values.length < k) return [];
+    const [first, ...rest] = values;
+    return [...subsets(rest, k - 1).map(subset => [first, ...subset]), ...subsets(rest, k)];
+}
+
+function assertCovers(pool, tickets, spots, guaranteeHits, guaranteeDrawn) {
+    tickets.forEach(ticket => {
+        assert.equal(ticket.length, spots);
+        ticket.forEach(number => assert.ok(pool.includes(number)));
+    });
+    subsets(pool, guaranteeDrawn).forEach(drawn => {
+        const best = Math.max(...tickets.map(ticket => ticket.filter(number => drawn.includes(number)).length));
+        assert.ok(best >= guaranteeHits, `no ticket catches ${guaranteeHits} of ${drawn.join(', ')}`);
+    });
+}
+
+test('generateWheel covers every drawn subset of the pool', () => {
+    const pool = [3, 7, 12, 18, 25, 33, 41, 56, 62, 70, 74, 80];
+    [[6, 3, 3], [6, 3, 4], [5, 2, 2], [8, 4, 5]].forEach(([spots, guaranteeHits, guaranteeDrawn]) => {
+        const tickets = generateWheel(pool, spots, guaranteeHits, guaranteeDrawn);
+        assertCovers(pool, tickets, spots, guaranteeHits, guaranteeDrawn);
+        if (guaranteeHits === guaranteeDrawn) {
+            assert.ok(tickets.length >= schonheimBound(pool.length, spots, guaranteeHits));
+        }
+    });
+});
+
+test('generateWheel rejects guarantees it cannot meet or read', () => {
+    const pool = [1, 2, 3, 4, 5, 6, 7, 8];
+    assert.throws(() => generateWheel(pool, 4, NaN, 4), /guaranteed hits/);
+    assert.throws(() => generateWheel(pool, 4, 3, NaN), /drawn count/);
+    assert.throws(() => generateWheel(pool, 4, 5, 5), /guaranteed hits/);
+    assert.throws(() => generateWheel(pool, 10, 2, 2), /at least as many numbers/);
+});
+
+test('schonheimBound gives the covering design lower bound', () => {
+    assert.equal(schonheimBound(12, 6, 3), 14);
+    assert.equal(schonheimBound(7, 3, 2), 7);
+    assert.equal(schonheimBound(6, 6, 3), 1);
+});
+
+test('wheelExposure finds each tier\'s guaranteed hits', () => {
+    const pool = [1, 2, 3, 4, 5, 6, 7, 8];
+    const tickets = generateWheel(pool, 4, 2, 3);
+    const exposure = wheelExposure(pool, tickets, payoutData.regularKeno, '4', 1);
+
+    assert.equal(exposure.length, pool.length + 1);
+    assert.ok(exposure[3].guaranteedHits >= 2);
+    assert.equal(exposure[8].guaranteedHits, 4);
+    const total = exposure.reduce((sum, tier) => sum + tier.probability, 0);
+    assert.ok(total > 0.99 && total <= 1 + 1e-12);
+});
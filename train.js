@@ -0,0 +1,172 @@
+// Headless training for the TF.js models, so the page doesn't lock up and every community can be trained in batch.
+// Reads data/<community>allData.json, trains with the same preprocessing and architectures as the page (models.js),
+// holds out the most recent games for evaluation, and writes models/<community>/<model>/model.json + weights.bin
+// along with models/report.json, which the page's Saved Models panel can import.
+//
+//   npm run train -- --community omaha --model modelC
+//   npm run train -- --community all --model all --epochs 20
+global.tf = require('@tensorflow/tfjs');
+// models.js, features.js and evaluation.js call these as globals, as they do in the page
+Object.assign(global,
+    require('./statistics.js'),
+    require('./analysisEngine.js'),
+    require('./evaluation.js'),
+    require('./features.js'),
+    require('./combinations.js'));
+const fs = require('fs');
+const path = require('path');
+
+const communities = require('./data/communities.json');
+const { normalizeHistoryDraws } = require('./analysisEngine.js');
+const { NUMBER_FEATURES } = require('./features.js');
+const {
+    MODEL_TRAINERS,
+    chronologicalSplit,
+    fitOptions,
+    evaluateOnHoldout,
+    disposeSplit,
+    finalMetrics
+} = require('./models.js');
+
+const OUTPUT_DIR = path.resolve(__dirname, 'models');
+const REPORT_PATH = path.join(OUTPUT_DIR, 'report.json');
+
+function parseArgs(argv) {
+    const options = { community: 'all', model: 'all', epochs: null, patience: null, features: null };
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (flag === '--community') options.community = value;
+        else if (flag === '--model') options.model = value;
+        else if (flag === '--epochs') options.epochs = parseInt(value, 10);
+        else if (flag === '--patience') options.patience = parseInt(value, 10);
+        else if (flag === '--features') options.features = value === 'none' ? [] : String(value).split(',');
+        else if (flag === '--help') options.help = true;
+        else continue;
+        i++;
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log('Usage: npm run train -- [--community <slug>|all] [--model <type>|all] [--epochs <n>] [--patience <n>]');
+    console.log('       [--features <name,name,...>|none]  (default: each model\'s own feature set)');
+    console.log(`Communities: ${communities.map(community => community.slug).join(', ')}`);
+    console.log(`Models: ${Object.keys(MODEL_TRAINERS).join(', ')}`);
+    console.log(`Features: ${Object.keys(NUMBER_FEATURES).join(', ')}`);
+}
+
+// The plain tfjs package has no file system handler, so write the files the page's tf.loadLayersModel(url) expects
+function fileSaveHandler(directory) {
+    return tf.io.withSaveHandler(async artifacts => {
+        fs.mkdirSync(directory, { recursive: true });
+        const modelJson = {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+        };
+        fs.writeFileSync(path.join(directory, 'model.json'), JSON.stringify(modelJson));
+        fs.writeFileSync(path.join(directory, 'weights.bin'), Buffer.from(tf.io.CompositeArrayBuffer.join(artifacts.weightData)));
+        return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    });
+}
+
+function loadHistory(community) {
+    const filePath = path.resolve(__dirname, 'data', `${community.slug}allData.json`);
+    if (!fs.existsSync(filePath)) return null;
+    return normalizeHistoryDraws(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+async function trainOne(community, type, draws, options) {
+    const trainer = MODEL_TRAINERS[type];
+    const hyperparameters = {
+        ...trainer.hyperparameters,
+        ...(options.epochs ? { epochs: options.epochs } : {}),
+        ...(options.patience !== null ? { patience: options.patience } : {}),
+        ...(options.features !== null ? { features: options.features } : {})
+    };
+    const { inputs, labels } = trainer.prepare(draws, hyperparameters);
+    const model = trainer.build(inputs, hyperparameters);
+    const split = chronologicalSplit(inputs, labels, hyperparameters.holdoutGames);
+
+    console.log(`Training ${type} for ${community.name} on ${draws.length} games, holding out the last ${split.holdout} and validating on the ${split.validation} before them (${hyperparameters.epochs} epochs)...`);
+    const fit = fitOptions(model, split, hyperparameters, {
+        onEpochEnd: (epoch, logs) => {
+            console.log(`  Epoch ${epoch + 1}/${hyperparameters.epochs}: loss=${logs.loss.toFixed(4)}, val_loss=${logs.val_loss.toFixed(4)}`);
+        }
+    });
+    const history = await model.fit(split.trainInputs, split.trainLabels, { ...fit, verbose: 0 });
+    if (fit.stoppedEarly) {
+        console.log(`  Stopped early: no improvement in validation loss for ${hyperparameters.patience} epochs`);
+    }
+    if (fit.bestEpoch) console.log(`  Kept the weights from epoch ${fit.bestEpoch}, which had the lowest validation loss`);
+    const evaluation = await evaluateOnHoldout(model, split);
+
+    const directory = path.join(OUTPUT_DIR, community.slug, type);
+    await model.save(fileSaveHandler(directory));
+
+    disposeSplit(split);
+    model.dispose();
+
+    return {
+        key: `keno-${community.slug}-${type}-${Date.now()}`,
+        type,
+        location: community.slug,
+        dataRange: {
+            from: draws[draws.length - 1].date,
+            to: draws[0].date,
+            games: draws.length
+        },
+        hyperparameters,
+        metrics: { ...finalMetrics(history, fit.bestEpoch), ...holdoutMetrics(evaluation) },
+        evaluation,
+        trainedAt: new Date().toISOString(),
+        path: path.relative(__dirname, path.join(directory, 'model.json')).split(path.sep).join('/')
+    };
+}
+
+(async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const selectedCommunities = options.community === 'all'
+        ? communities
+        : communities.filter(community => community.slug === options.community);
+    const selectedTypes = options.model === 'all' ? Object.keys(MODEL_TRAINERS) : [options.model];
+
+    if (options.help || selectedCommunities.length === 0 || selectedTypes.some(type => !MODEL_TRAINERS[type]) ||
+        (options.epochs !== null && !(options.epochs > 0)) || (options.patience !== null && !(options.patience >= 0)) ||
+        (options.features !== null && options.features.some(name => !NUMBER_FEATURES[name]))) {
+        printUsage();
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    // Keep earlier entries so partial runs add to the report instead of replacing it
+    let report = { models: [] };
+    if (fs.existsSync(REPORT_PATH)) report = JSON.parse(fs.readFileSync(REPORT_PATH, 'utf8'));
+
+    for (const community of selectedCommunities) {
+        const draws = loadHistory(community);
+        if (!draws || draws.length === 0) {
+            console.error(`No history for ${community.name}; run the scraper first. Skipping.`);
+            continue;
+        }
+
+        for (const type of selectedTypes) {
+            try {
+                const entry = await trainOne(community, type, draws, options);
+                report.models = report.models.filter(model => !(model.location === entry.location && model.type === entry.type));
+                report.models.push(entry);
+                report.generatedAt = new Date().toISOString();
+                fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+                fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+                console.log(`Saved ${entry.path} (val_loss=${entry.metrics.val_loss.toFixed(4)}, ` +
+                    `${entry.metrics.holdout_mean_hits.toFixed(2)} hits per game vs ${entry.metrics.holdout_expected_hits.toFixed(2)} expected)`);
+            } catch (error) {
+                console.error(`Error training ${type} for ${community.name}:`, error);
+                process.exitCode = 1;
+            }
+        }
+    }
+})();
@@ -0,0 +1,53 @@
+// Web Worker that trains the TF.js models off the page's main thread (protocol in workerJobs.js), with the same
+// model code as the page and train.js
+importScripts(
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest',
+    'statistics.js',
+    'analysisEngine.js',
+    'evaluation.js',
+    'features.js',
+    'combinations.js',
+    'models.js',
+    'workerJobs.js'
+);
+
+serveJobs({
+    // Prepare, fit and score one model on its held-out games. Progress reports the split and every epoch.
+    // The returned history records the epoch whose weights were kept (bestEpoch).
+    // Cancelling stops training after the current batch and still returns the model trained so far, as
+    // artifacts the page rebuilds the model from to save it and predict.
+    train: async ({ type, draws, hyperparameters }, { signal, progress }) => {
+        const trainer = MODEL_TRAINERS[type];
+        const { inputs, labels } = trainer.prepare(draws, hyperparameters);
+        const model = trainer.build(inputs, hyperparameters);
+        const split = chronologicalSplit(inputs, labels, hyperparameters.holdoutGames);
+        progress({ stage: 'split', holdout: split.holdout, validation: split.validation, trainExamples: split.trainInputs.shape[0] });
+
+        const fit = fitOptions(model, split, hyperparameters, {
+            onEpochBegin: epoch => progress({ stage: 'epochBegin', epoch }),
+            // model.fit checks this flag after every batch and returns the history so far
+            onBatchEnd: () => {
+                if (signal.aborted) model.stopTraining = true;
+            },
+            onEpochEnd: (epoch, logs) => progress({ stage: 'epochEnd', epoch, logs })
+        });
+        const history = await model.fit(split.trainInputs, split.trainLabels, fit);
+        const evaluation = await evaluateOnHoldout(model, split);
+        disposeSplit(split);
+
+        let artifacts = null;
+        await model.save(tf.io.withSaveHandler(async saved => {
+            artifacts = saved;
+            return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(saved) };
+        }));
+        model.dispose();
+
+        return {
+            artifacts,
+            history: { epoch: history.epoch, history: history.history, bestEpoch: fit.bestEpoch },
+            stoppedEarly: fit.stoppedEarly,
+            stoppedByUser: signal.aborted,
+            evaluation
+        };
+    }
+});
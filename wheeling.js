@@ -0,0 +1,176 @@
+// Wheeling (covering design) tickets for playing a pool of numbers larger than one ticket.
+// A "t if m" wheel guarantees that whenever m of the pool numbers are drawn, at least one ticket catches t of them.
+// Tickets and pool subsets are bitmasks over the pool's positions, so pools are limited to MAX_WHEEL_POOL numbers.
+// Nothing in this file touches the DOM.
+
+const MAX_WHEEL_POOL = 20;
+
+// Number of set bits in a 32-bit mask
+function popCount(mask) {
+    mask -= (mask >>> 1) & 0x55555555;
+    mask = (mask & 0x33333333) + ((mask >>> 2) & 0x33333333);
+    return (((mask + (mask >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Every size-k subset of n positions as a bitmask
+function subsetMasks(n, k) {
+    const masks = [];
+    const build = (start, depth, mask) => {
+        if (depth === k) {
+            masks.push(mask);
+            return;
+        }
+        for (let i = start; i <= n - (k - depth); i++) {
+            build(i + 1, depth + 1, mask | (1 << i));
+        }
+    };
+    build(0, 0, 0);
+    return masks;
+}
+
+// Greedy "t if m" wheel over a pool of numbers with `spots` numbers per ticket.
+// Each ticket starts from t numbers of a still-uncovered m-subset and is filled with whichever numbers cover the most
+// uncovered subsets; the best of several randomised tries is kept, and tickets made redundant later are dropped.
+// Greedy covers are small but not always the smallest possible.
+function generateWheel(pool, spots, guaranteeHits, guaranteeDrawn, options = {}) {
+    const { tries = 8, random = Math.random } = options;
+    const n = pool.length;
+
+    if (n > MAX_WHEEL_POOL) throw new Error(`Pools are limited to ${MAX_WHEEL_POOL} numbers`);
+    if (spots > n) throw new Error('The pool needs at least as many numbers as one ticket');
+    if (!Number.isInteger(guaranteeHits) || guaranteeHits < 1 || guaranteeHits > spots) throw new Error('The guaranteed hits must be between 1 and the spot count');
+    if (!Number.isInteger(guaranteeDrawn) || guaranteeDrawn < guaranteeHits || guaranteeDrawn > Math.min(n, 20)) {
+        throw new Error(`The drawn count must be between the guaranteed hits and ${Math.min(n, 20)}`);
+    }
+
+    const covers = (ticket, subset) => popCount(ticket & subset) >= guaranteeHits;
+    let uncovered = subsetMasks(n, guaranteeDrawn);
+    const tickets = [];
+
+    while (uncovered.length > 0) {
+        let bestTicket = 0;
+        let bestCovered = -1;
+
+        for (let attempt = 0; attempt < tries; attempt++) {
+            // Seed with t numbers from a random uncovered subset
+            const seedSubset = uncovered[Math.floor(random() * uncovered.length)];
+            const seedPositions = [];
+            for (let i = 0; i < n; i++) {
+                if (seedSubset & (1 << i)) seedPositions.push(i);
+            }
+            let ticket = 0;
+            while (popCount(ticket) < guaranteeHits) {
+                const pick = seedPositions.splice(Math.floor(random() * seedPositions.length), 1)[0];
+                ticket |= 1 << pick;
+            }
+
+            // Fill the rest with whichever number most uncovered subsets still need
+            while (popCount(ticket) < spots) {
+                const gains = new Float64Array(n);
+                for (let s = 0; s < uncovered.length; s++) {
+                    const subset = uncovered[s];
+                    if (popCount(ticket & subset) >= guaranteeHits) continue;
+                    let rest = subset & ~ticket;
+                    while (rest) {
+                        const bit = rest & -rest;
+                        gains[31 - Math.clz32(bit)]++;
+                        rest ^= bit;
+                    }
+                }
+
+                let bestPosition = -1;
+                let bestGain = -1;
+                for (let i = 0; i < n; i++) {
+                    if (ticket & (1 << i)) continue;
+                    // Random tie-breaks keep the tries different
+                    const gain = gains[i] + random() * 0.5;
+                    if (gain > bestGain) {
+                        bestGain = gain;
+                        bestPosition = i;
+                    }
+                }
+                ticket |= 1 << bestPosition;
+            }
+
+            const covered = uncovered.reduce((count, subset) => count + (covers(ticket, subset) ? 1 : 0), 0);
+            if (covered > bestCovered) {
+                bestCovered = covered;
+                bestTicket = ticket;
+            }
+        }
+
+        tickets.push(bestTicket);
+        uncovered = uncovered.filter(subset => !covers(bestTicket, subset));
+    }
+
+    // Drop tickets whose subsets are all covered by the others
+    const allSubsets = subsetMasks(n, guaranteeDrawn);
+    for (let i = tickets.length - 1; i >= 0; i--) {
+        const others = tickets.filter((_, index) => index !== i);
+        if (allSubsets.every(subset => others.some(ticket => covers(ticket, subset)))) {
+            tickets.splice(i, 1);
+        }
+    }
+
+    return tickets.map(ticket => pool.filter((_, i) => ticket & (1 << i)).sort((a, b) => a - b));
+}
+
+// Schönheim lower bound on the tickets of a "t if t" wheel (a covering design): no wheel of k-number tickets over
+// v numbers that catches every t of them can have fewer, though the smallest wheel can need more
+function schonheimBound(v, k, t) {
+    let bound = 1;
+    for (let i = t - 1; i >= 0; i--) {
+        bound = Math.ceil(bound * (v - i) / (k - i));
+    }
+    return bound;
+}
+
+// What the wheel pays for each count of pool numbers drawn: the tier's probability, the fewest hits the best ticket is
+// guaranteed, and the smallest and largest total payout over every way that many pool numbers can be drawn.
+function wheelExposure(pool, tickets, gameData, spotCount, betAmount) {
+    const scale = betAmount / gameData.denominations.dollar;
+    const payoutByHits = Float64Array.from(outcomeDistribution(gameData, spotCount), outcome => outcome.payout * scale);
+    const ticketMasks = tickets.map(ticket => ticket.reduce((mask, num) => mask | (1 << pool.indexOf(num)), 0));
+    const tierCount = Math.min(pool.length, 20) + 1;
+    const guaranteedHits = new Array(tierCount).fill(Infinity);
+    const minPayouts = new Array(tierCount).fill(Infinity);
+    const maxPayouts = new Array(tierCount).fill(0);
+
+    // Every subset of the pool, grouped by how many numbers it holds
+    for (let subset = 0; subset < (1 << pool.length); subset++) {
+        const drawn = popCount(subset);
+        if (drawn >= tierCount) continue;
+
+        let bestHits = 0;
+        let payout = 0;
+        for (let t = 0; t < ticketMasks.length; t++) {
+            const hits = popCount(ticketMasks[t] & subset);
+            if (hits > bestHits) bestHits = hits;
+            payout += payoutByHits[hits];
+        }
+        guaranteedHits[drawn] = Math.min(guaranteedHits[drawn], bestHits);
+        minPayouts[drawn] = Math.min(minPayouts[drawn], payout);
+        maxPayouts[drawn] = Math.max(maxPayouts[drawn], payout);
+    }
+
+    return guaranteedHits.map((hits, drawn) => ({
+        drawn,
+        // Chance that exactly this many pool numbers are among the 20 drawn
+        probability: probabilityOfHitting(drawn, pool.length),
+        guaranteedHits: hits,
+        minPayout: minPayouts[drawn],
+        maxPayout: maxPayouts[drawn]
+    }));
+}
+
+// Node (the tests) loads this file with require, after setting the payoutMath.js helpers it uses as globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_WHEEL_POOL,
+        popCount,
+        subsetMasks,
+        generateWheel,
+        schonheimBound,
+        wheelExposure
+    };
+}
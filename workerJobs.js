@@ -0,0 +1,122 @@
+// Long-running jobs in Web Workers, so analyses and training don't stall the page. The page loads this file with
+// a script tag and talks to a worker through createJobWorker; each worker loads it with importScripts and
+// answers with serveJobs. Every message carries the id of its job:
+//
+//     page -> worker   { id, type: 'run', job, payload }    start handlers[job](payload, context)
+//                      { id, type: 'cancel' }               abort the job's signal
+//     worker -> page   { id, type: 'progress', progress }   anything the job reports along the way
+//                      { id, type: 'partial', name, result } one named part of the result, ready early
+//                      { id, type: 'done', result }
+//                      { id, type: 'error', message }
+//                      { id, type: 'cancelled' }
+
+// Page side: start jobs in the worker at scriptUrl (created on first use). run returns { promise, cancel };
+// the promise rejects with an AbortError when the job is cancelled.
+function createJobWorker(scriptUrl) {
+    let worker = null;
+    let nextId = 1;
+    const jobs = new Map();
+
+    const start = () => {
+        worker = new Worker(scriptUrl);
+        worker.onmessage = ({ data }) => {
+            const job = jobs.get(data.id);
+            if (!job) return;
+
+            switch (data.type) {
+                case 'progress':
+                    if (job.onProgress) job.onProgress(data.progress);
+                    break;
+                case 'partial':
+                    if (job.onPartial) job.onPartial(data.name, data.result);
+                    break;
+                case 'done':
+                    jobs.delete(data.id);
+                    job.resolve(data.result);
+                    break;
+                case 'cancelled':
+                    jobs.delete(data.id);
+                    job.reject(new DOMException('The job was cancelled', 'AbortError'));
+                    break;
+                case 'error':
+                default:
+                    jobs.delete(data.id);
+                    job.reject(new Error(data.message));
+            }
+        };
+        // The worker script failed to load or threw outside a job: fail everything it was running
+        worker.onerror = event => {
+            console.error(`Worker ${scriptUrl} failed:`, event.message);
+            jobs.forEach(job => job.reject(new Error(event.message || `Worker ${scriptUrl} failed`)));
+            jobs.clear();
+            worker.terminate();
+            worker = null;
+        };
+    };
+
+    const run = (job, payload, { onProgress = null, onPartial = null } = {}) => {
+        if (!worker) start();
+        const id = nextId++;
+        const promise = new Promise((resolve, reject) => {
+            jobs.set(id, { resolve, reject, onProgress, onPartial });
+        });
+        worker.postMessage({ id, type: 'run', job, payload });
+
+        return {
+            promise,
+            cancel: () => {
+                if (jobs.has(id)) worker.postMessage({ id, type: 'cancel' });
+            }
+        };
+    };
+
+    return { run };
+}
+
+// Whether an error only means the job was cancelled
+function isCancelledJob(error) {
+    return error && error.name === 'AbortError';
+}
+
+// Worker side: answer the page's messages with handlers[job](payload, context). The context has the job's
+// AbortSignal, progress(value) and partial(name, result) to report along the way, and checkpoint(), which lets
+// waiting messages (such as a cancel) through and throws if the job has been cancelled. A handler may also
+// watch the signal and finish early with what it has, which the page receives as a normal result.
+function serveJobs(handlers) {
+    const controllers = new Map();
+
+    self.onmessage = async ({ data }) => {
+        if (data.type === 'cancel') {
+            if (controllers.has(data.id)) controllers.get(data.id).abort();
+            return;
+        }
+
+        const { id, job, payload } = data;
+        const controller = new AbortController();
+        controllers.set(id, controller);
+        const context = {
+            signal: controller.signal,
+            progress: progress => self.postMessage({ id, type: 'progress', progress }),
+            partial: (name, result) => self.postMessage({ id, type: 'partial', name, result }),
+            checkpoint: async () => {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                controller.signal.throwIfAborted();
+            }
+        };
+
+        try {
+            if (!handlers[job]) throw new Error(`Unknown job: ${job}`);
+            const result = await handlers[job](payload, context);
+            self.postMessage({ id, type: 'done', result });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                self.postMessage({ id, type: 'cancelled' });
+            } else {
+                console.error(`Job ${job} failed:`, error);
+                self.postMessage({ id, type: 'error', message: error.message });
+            }
+        } finally {
+            controllers.delete(id);
+        }
+    };
+}